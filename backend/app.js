@@ -0,0 +1,548 @@
+// app.js
+// Builds the Express app around a storage backend; server.js starts it.
+const express = require("express");
+const mongoose = require("mongoose");
+const OpenApiValidator = require("express-openapi-validator");
+const swaggerUi = require("swagger-ui-express");
+const devicesRouter = require("./routes/devices");
+const adminKeysRouter = require("./routes/adminKeys");
+const alertRulesRouter = require("./routes/alertRules");
+const alertsRouter = require("./routes/alerts");
+const authRouter = require("./routes/auth");
+const adminUsersRouter = require("./routes/adminUsers");
+const adminApiKeysRouter = require("./routes/adminApiKeys");
+const statusRouter = require("./routes/status");
+const pushRouter = require("./routes/push");
+const { authenticate, requireRole } = require("./lib/auth");
+const { verifyDeviceToken } = require("./lib/keyStore");
+const { streamExport } = require("./lib/export");
+const { createStorage } = require("./lib/storage");
+const { createSensorStream } = require("./lib/sensorStream");
+const { createRateLimiter } = require("./lib/rateLimit");
+const { parseFields, withDerived } = require("./lib/derived");
+const {
+  createAnomalyDetector,
+  parseAnomalyFilter
+} = require("./lib/anomalies");
+const { spec } = require("./lib/openapi");
+const { METRIC_REGISTRY } = require("./lib/metricRegistry");
+const {
+  prepareReading,
+  saveReading,
+  expandBatch,
+  ingestBatch
+} = require("./lib/ingest");
+const { claimToken, releaseToken } = require("./lib/replay");
+const { deviceEvents, deviceMetadata } = require("./lib/heartbeat");
+const { createIngestQueue } = require("./lib/ingestQueue");
+const { idempotency } = require("./lib/idempotency");
+const { alertEvents, evaluateReadings } = require("./lib/alerts");
+const { pushAlert } = require("./lib/push");
+const {
+  ingestOutcome,
+  recordIngest,
+  ingestQueueDepth,
+  requestTimer,
+  metricsHandler
+} = require("./lib/metrics");
+const {
+  ApiError,
+  badRequest,
+  isMongoConfigured,
+  requireDatabase,
+  sendApiError,
+  toApiError
+} = require("./lib/errors");
+
+// --- Allowed frontend origins ---
+const ALLOWED_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(",").map(origin => origin.trim())
+  : [
+      "https://iot-project-frontend-liard.vercel.app",
+      "https://react.flowofthings.net"
+    ];
+
+// Optional ?deviceId= filter shared by the read routes
+function deviceFilter(query) {
+  return query.deviceId ? { deviceId: String(query.deviceId) } : {};
+}
+
+function mongoState() {
+  return isMongoConfigured()
+    ? mongoose.ConnectionStates[mongoose.connection.readyState]
+    : "not_configured";
+}
+
+// Responses that do not match lib/openapi.js are logged and still sent, so
+// a stale spec never breaks clients
+const VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES !== "false";
+
+function reportResponseDrift(err, body, req) {
+  console.warn(
+    `⚠️ Response to ${req.method} ${req.path} does not match the spec:`,
+    err.message
+  );
+}
+
+// The validator checks the value handed to res.json; serialise mongoose
+// documents, ObjectIds and Dates first so it sees what the client will
+function plainJson(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body =>
+    json(body === undefined ? body : JSON.parse(JSON.stringify(body)));
+  next();
+}
+
+// Routers whose data lives only in MongoDB answer 503 straight away
+// rather than waiting on a connection that is not there
+function needsMongo(req, res, next) {
+  try {
+    requireDatabase();
+    next();
+  } catch (err) {
+    sendApiError(res, err);
+  }
+}
+
+// `storage` holds the readings (see lib/storage). Users, keys, alerts and
+// the device registry use the mongoose connection, which the caller opens.
+function createApp({ storage = createStorage() } = {}) {
+  const app = express();
+  app.locals.storage = storage;
+  const sensorStream = createSensorStream();
+  const anomalyDetector = createAnomalyDetector(storage);
+
+  // Dashboards update node badges from these without waiting to poll
+  deviceEvents.on("status", change => {
+    console.log(`📡 ${change.deviceId} is now ${change.status}`);
+    sensorStream.broadcast("device", change);
+  });
+  // Tablets that opted in hear about new alerts without watching the chart
+  alertEvents.on("opened", pushAlert);
+  const rateLimiter = createRateLimiter();
+
+  // Fail fast instead of waiting on a backend that is down
+  function requireStorage() {
+    if (!storage.isReady()) {
+      throw new ApiError(503, "storage_unavailable", "Storage is unavailable");
+    }
+  }
+
+  // Readings accepted while storage is down wait here until it is back
+  const ingestQueue = createIngestQueue({
+    store: async ({ claims, reading }) => {
+      requireStorage();
+      // The request that queued it may already have claimed the token
+      await claimToken(claims);
+      const sensor = await saveReading(
+        storage,
+        reading,
+        deviceMetadata(claims)
+      );
+      await evaluateReadings([sensor]);
+      sensorStream.publish(sensor);
+    },
+    onChange: depth => ingestQueueDepth.set(depth)
+  });
+  ingestQueue.load();
+
+  function drainIngestQueue() {
+    ingestQueue
+      .drain()
+      .catch(err => console.error("Ingest queue drain failed:", err.message));
+  }
+
+  // Draining needs the storage and, for token claims, MongoDB if configured
+  storage.onReady(drainIngestQueue);
+  if (isMongoConfigured()) {
+    mongoose.connection.on("connected", drainIngestQueue);
+    mongoose.connection.on("reconnected", drainIngestQueue);
+  }
+
+  // Behind Render or another proxy, req.ip must come from X-Forwarded-For
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+  }
+
+  // --- Request metrics ---
+  app.use(requestTimer());
+
+  // --- CORS middleware ---
+  app.use((req, res, next) => {
+    const origin = req.headers.origin;
+
+    // Requests without an Origin are not from browsers and need no CORS grant
+    if (origin && ALLOWED_ORIGINS.includes(origin)) {
+      res.setHeader("Access-Control-Allow-Origin", origin);
+      res.setHeader("Access-Control-Allow-Credentials", "true");
+      res.setHeader("Vary", "Origin");
+    }
+
+    res.setHeader(
+      "Access-Control-Allow-Methods",
+      "GET,POST,PATCH,DELETE,OPTIONS"
+    );
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, Idempotency-Key, X-API-Key"
+    );
+
+    if (req.method === "OPTIONS") {
+      return res.sendStatus(204);
+    }
+
+    next();
+  });
+
+  // --- Body parser ---
+  app.use(express.json({ limit: "1mb" })); // room for gateway batches
+
+  // --- Lightweight request logging ---
+  app.use((req, res, next) => {
+    // Stream clients pass their token in the query string; keep it out of logs
+    const url = req.originalUrl.replace(
+      /access_token=[^&]*/,
+      "access_token=[redacted]"
+    );
+    console.log(
+      `${new Date().toISOString()} ${req.method} ${url} from ${
+        req.headers.origin || "no-origin"
+      }`
+    );
+    next();
+  });
+
+  // --- API description (public) ---
+  app.get("/api/openapi.json", (req, res) => res.json(spec));
+  app.use("/api/docs", swaggerUi.serve, swaggerUi.setup(spec));
+
+  // --- Schema validation ---
+  // Requests that break lib/openapi.js get a 400 `invalid_request`. Auth
+  // stays with `authenticate`, and unknown query parameters are let through.
+  app.use(
+    OpenApiValidator.middleware({
+      apiSpec: spec,
+      validateRequests: { allowUnknownQueryParameters: true },
+      validateResponses: VALIDATE_RESPONSES && {
+        onError: reportResponseDrift
+      },
+      validateSecurity: false,
+      ignoreUndocumented: true
+    })
+  );
+  if (VALIDATE_RESPONSES) app.use(plainJson);
+
+  // --- Health checks (public, for orchestrator probes) ---
+  // /health is liveness: the process is up. /ready is readiness: it only
+  // passes once storage (and MongoDB, if configured) is usable, so traffic
+  // is held back until then.
+  app.get("/health", (req, res) =>
+    res.json({ status: "ok", uptime: process.uptime() })
+  );
+
+  app.get("/ready", (req, res) => {
+    const mongo = mongoState();
+    const ready =
+      storage.isReady() &&
+      (mongo === "connected" || mongo === "not_configured");
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not_ready",
+      storage: storage.kind,
+      mongo
+    });
+  });
+
+  // --- Prometheus metrics (public unless METRICS_TOKEN is set) ---
+  app.get(
+    "/metrics",
+    (req, res, next) => {
+      const expected = process.env.METRICS_TOKEN;
+      if (expected && req.headers.authorization !== `Bearer ${expected}`) {
+        return res.status(401).json({ error: "Invalid metrics token" });
+      }
+      next();
+    },
+    metricsHandler
+  );
+
+  // --- Access control ---
+  // Users log in for bearer tokens; machine clients use API keys. Device
+  // ingest is authorised by its signed payload, and can additionally demand
+  // a device-role key with INGEST_REQUIRE_API_KEY=true.
+  app.use(authenticate);
+
+  const canRead = requireRole("viewer", "admin");
+  const adminOnly = requireRole("admin");
+  const canIngest =
+    process.env.INGEST_REQUIRE_API_KEY === "true"
+      ? requireRole("device", "admin")
+      : (req, res, next) => next();
+
+  // Per-IP limit first so floods are turned away before any token work
+  const ingestGuards = [rateLimiter.byIp(), canIngest, idempotency()];
+
+  // --- Routes ---
+  app.use("/api/auth", authRouter);
+  app.use("/api/devices", canRead, needsMongo, devicesRouter);
+  app.use("/api/admin/keys", adminOnly, needsMongo, adminKeysRouter);
+  app.use("/api/admin/users", adminOnly, needsMongo, adminUsersRouter);
+  app.use("/api/admin/api-keys", adminOnly, needsMongo, adminApiKeysRouter);
+  app.use("/api/alert-rules", adminOnly, needsMongo, alertRulesRouter);
+  app.use("/api/alerts", canRead, needsMongo, alertsRouter);
+  app.use("/api/status", canRead, needsMongo, statusRouter);
+  app.use("/api/push", canRead, needsMongo, pushRouter);
+
+  // Names, units and ranges of the metrics readings carry; dashboards
+  // build their charts from these
+  app.get("/api/metric-registry", canRead, (req, res) => {
+    res.json({ data: Object.values(METRIC_REGISTRY) });
+  });
+
+  // ?fields=dewPoint,heatIndex,absoluteHumidity,vpd adds derived metrics
+  // here and on the other read routes
+  app.get("/api/sensor/latest", canRead, async (req, res) => {
+    try {
+      const fields = parseFields(req.query);
+      const latest = await storage.latestReading(deviceFilter(req.query));
+      if (!latest) {
+        return res.status(404).json({ message: "No sensor data found" });
+      }
+      res.json(withDerived(latest, fields));
+    } catch (err) {
+      if (err.status) {
+        return res
+          .status(err.status)
+          .json({ error: err.message, code: err.code });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // The single-reading pipeline, shared by POST /api/sensor and MQTT.
+  // Resolves `{ status, body }` or throws; errors carry a status and a
+  // machine-readable `code`: 400 malformed request, 401 bad token,
+  // 403 token for another device, 409 replay/duplicate, 422 implausible
+  // reading, 429 rate limited, 503 storage unavailable and queue full.
+  // While storage is unavailable, verified readings are queued on disk
+  // and answered with 202. `deviceId` pins the device the caller expects.
+  async function ingestToken(token, { deviceId } = {}) {
+    const receivedAt = new Date();
+    try {
+      if (typeof token !== "string" || !token) {
+        throw badRequest("Missing token", "missing_token");
+      }
+
+      const decoded = await verifyDeviceToken(token);
+      const prepared = prepareReading(decoded, receivedAt);
+      if (deviceId !== undefined && prepared.deviceId !== deviceId) {
+        throw new ApiError(
+          403,
+          "device_mismatch",
+          "Token is for a different device"
+        );
+      }
+      await rateLimiter.checkDevice(prepared.deviceId);
+      // Suspect readings are kept, flagged for charts and ?anomalies=only
+      const reading = await anomalyDetector.annotate(prepared);
+
+      let sensor;
+      try {
+        requireStorage();
+        if (!(await claimToken(decoded))) {
+          throw new ApiError(409, "replayed", "Token already used");
+        }
+        try {
+          sensor = await saveReading(
+            storage,
+            reading,
+            deviceMetadata(decoded)
+          );
+        } catch (err) {
+          // Let the device retry; if the database is gone the release fails
+          // too, which the queue drain tolerates
+          if (!(err instanceof ApiError)) {
+            await releaseToken(decoded).catch(() => {});
+          }
+          throw err;
+        }
+      } catch (err) {
+        if (toApiError(err).code !== "storage_unavailable") throw err;
+        await ingestQueue.enqueue({ claims: decoded, reading });
+        recordIngest("queued");
+        return { status: 202, body: { success: true, queued: true } };
+      }
+      await evaluateReadings([sensor]);
+
+      sensorStream.publish(sensor);
+      recordIngest("accepted");
+      return { status: 200, body: { success: true, data: sensor } };
+    } catch (err) {
+      recordIngest(ingestOutcome(toApiError(err)));
+      throw err;
+    }
+  }
+  app.locals.ingestToken = ingestToken;
+
+  app.post("/api/sensor", ingestGuards, async (req, res) => {
+    try {
+      const { status, body } = await ingestToken(req.body && req.body.token);
+      res.status(status).json(body);
+    } catch (err) {
+      console.error("POST /api/sensor error:", err.message);
+      sendApiError(res, err);
+    }
+  });
+
+  // Replay buffered readings from a gateway: `{ tokens: [...] }` or a single
+  // `{ token }` carrying a `readings` array. Reports a result per item.
+  app.post("/api/sensor/batch", ingestGuards, async (req, res) => {
+    const receivedAt = new Date();
+    let entries;
+    try {
+      requireStorage();
+      // A batch counts once against each device's rate limit, so a
+      // gateway can replay its whole offline buffer in one request
+      entries = await expandBatch(
+        req.body || {},
+        verifyDeviceToken,
+        rateLimiter.checkDevice
+      );
+    } catch (err) {
+      console.error("POST /api/sensor/batch error:", err.message);
+      const tokens = req.body && req.body.tokens;
+      recordIngest(
+        ingestOutcome(toApiError(err)),
+        Array.isArray(tokens) ? tokens.length : 1
+      );
+      return sendApiError(res, err);
+    }
+
+    try {
+      const { results, inserted } = await ingestBatch(
+        storage,
+        entries,
+        receivedAt,
+        anomalyDetector.annotate
+      );
+      await evaluateReadings(inserted);
+      inserted.forEach(sensorStream.publish);
+
+      const summary = {
+        accepted: 0,
+        duplicate: 0,
+        invalid: 0,
+        rate_limited: 0
+      };
+      for (const result of results) summary[result.status]++;
+      for (const [outcome, count] of Object.entries(summary)) {
+        recordIngest(outcome, count);
+      }
+      const retryAfter = Math.max(
+        0,
+        ...results.map(result => result.retryAfterSeconds || 0)
+      );
+      if (retryAfter > 0) res.setHeader("Retry-After", String(retryAfter));
+      res.json({ ...summary, results });
+    } catch (err) {
+      console.error("POST /api/sensor/batch error:", err.message);
+      recordIngest(ingestOutcome(toApiError(err)), entries.length);
+      sendApiError(res, err);
+    }
+  });
+
+  // ?from=&to= (epoch seconds or ISO), ?limit= and ?cursor= for paging back,
+  // and ?anomalies=only for flagged readings
+  app.get("/api/sensor", canRead, async (req, res) => {
+    try {
+      const fields = parseFields(req.query);
+      const page = await storage.findReadings(req.query, {
+        ...deviceFilter(req.query),
+        ...parseAnomalyFilter(req.query)
+      });
+      res.json({
+        ...page,
+        data: page.data.map(reading => withDerived(reading, fields))
+      });
+    } catch (err) {
+      if (err.status) {
+        return res
+          .status(err.status)
+          .json({ error: err.message, code: err.code });
+      }
+      res.status(500).json({ error: "Failed to fetch sensor data" });
+    }
+  });
+
+  // Live feed of saved readings; honours Last-Event-ID on reconnect
+  app.get("/api/sensor/stream", canRead, sensorStream.handler);
+
+  // ?bucket=5m|1h|1d&from=&to= with optional ?fill=true for empty buckets
+  app.get("/api/sensor/aggregate", canRead, async (req, res) => {
+    try {
+      const fields = parseFields(req.query);
+      const result = await storage.aggregateReadings(
+        req.query,
+        deviceFilter(req.query)
+      );
+      // Buckets derive from their mean temperature and humidity
+      res.json({
+        ...result,
+        data: result.data.map(bucket => withDerived(bucket, fields))
+      });
+    } catch (err) {
+      if (err.status) {
+        return res
+          .status(err.status)
+          .json({ error: err.message, code: err.code });
+      }
+      res.status(500).json({ error: "Failed to aggregate sensor data" });
+    }
+  });
+
+  // Streamed download: ?format=csv|ndjson&from=&to=&columns=a,b
+  // with ?timeFormat=epoch|iso for the time columns
+  app.get("/api/sensor/export", canRead, async (req, res) => {
+    try {
+      await streamExport(storage, req.query, deviceFilter(req.query), res);
+    } catch (err) {
+      if (res.headersSent) {
+        // Too late for a status code; cut the download short instead
+        console.error("GET /api/sensor/export error:", err.message);
+        return res.destroy(err);
+      }
+      if (err.status) {
+        return res
+          .status(err.status)
+          .json({ error: err.message, code: err.code });
+      }
+      res.status(500).json({ error: "Failed to export sensor data" });
+    }
+  });
+
+  // --- Generic error handler ---
+  app.use((err, req, res, next) => {
+    // express-openapi-validator lists every schema violation
+    if (Array.isArray(err.errors) && err.status < 500) {
+      return res.status(err.status).json({
+        error: err.message,
+        code: "invalid_request",
+        details: err.errors.map(({ path, message }) => ({ path, message }))
+      });
+    }
+    // body-parser reports malformed or oversized bodies with a 4xx status
+    if (err.status >= 400 && err.status < 500) {
+      return res.status(err.status).json({
+        error: err.expose ? err.message : "Bad request",
+        code:
+          err.type === "entity.parse.failed" ? "malformed_json" : "bad_request"
+      });
+    }
+    console.error("Unhandled error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,253 @@
+// lib/aggregate.js
+// Time-bucketed min/max/avg/count over readings. The pipelines here are
+// Mongo's; other storage backends produce rows of the same shape.
+const { badRequest } = require("./errors");
+const { METRIC_NAMES } = require("./metricRegistry");
+const { parseTime } = require("./readingsQuery");
+const {
+  ROLLUPS,
+  rawRetentionCutoff,
+  rollupForBucketSize,
+  rolledThrough
+} = require("./retention");
+
+const BUCKETS = {
+  "1m": 60,
+  "5m": 5 * 60,
+  "15m": 15 * 60,
+  "1h": 60 * 60,
+  "6h": 6 * 60 * 60,
+  "1d": 24 * 60 * 60
+};
+
+// Window used when the caller gives no ?from=, and a ceiling on response size
+const DEFAULT_BUCKET_COUNT = 288;
+const MAX_BUCKET_COUNT = 5000;
+
+function parseAggregateQuery(query) {
+  const bucket = query.bucket || "1h";
+  const size = BUCKETS[bucket];
+  if (!size) {
+    throw badRequest(
+      `Invalid 'bucket': expected one of ${Object.keys(BUCKETS).join(", ")}`
+    );
+  }
+
+  const to = parseTime(query.to, "to") ?? Math.floor(Date.now() / 1000);
+  const from = parseTime(query.from, "from") ?? to - size * DEFAULT_BUCKET_COUNT;
+  if (from > to) {
+    throw badRequest("'from' must not be later than 'to'");
+  }
+  if ((to - from) / size > MAX_BUCKET_COUNT) {
+    throw badRequest(
+      `Range too large for bucket '${bucket}' (max ${MAX_BUCKET_COUNT} buckets)`
+    );
+  }
+
+  const fill = query.fill === "true" || query.fill === "1";
+
+  return { bucket, size, from, to, fill };
+}
+
+function metricAccumulators() {
+  const fields = {};
+  for (const metric of METRIC_NAMES) {
+    const value = `$values.${metric}`;
+    fields[`${metric}Min`] = { $min: value };
+    fields[`${metric}Max`] = { $max: value };
+    fields[`${metric}Avg`] = { $avg: value };
+    fields[`${metric}Count`] = {
+      $sum: { $cond: [{ $isNumber: value }, 1, 0] }
+    };
+  }
+  return fields;
+}
+
+function bucketStart(field, size) {
+  return { $subtract: [field, { $mod: [field, size] }] };
+}
+
+// Buckets are aligned to the Unix epoch, so 1d buckets start at UTC midnight.
+// `byDevice` keeps devices apart, as the rollup job needs; `exclusiveTo`
+// makes `to` an open bound so adjacent ranges never share a reading.
+function buildPipeline(
+  { size, from, to, exclusiveTo = false },
+  baseFilter = {},
+  { byDevice = false } = {}
+) {
+  const bucket = bucketStart("$timestamp", size);
+  return [
+    {
+      $match: {
+        ...baseFilter,
+        timestamp: { $gte: from, [exclusiveTo ? "$lt" : "$lte"]: to }
+      }
+    },
+    {
+      $group: {
+        _id: byDevice ? { deviceId: "$deviceId", bucket } : bucket,
+        count: { $sum: 1 },
+        ...metricAccumulators()
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+// Re-buckets stored rollups. Averages are weighted by each rollup's count
+// so that merging buckets gives the same result as the raw readings would.
+function buildRollupPipeline({ size, from, to }, baseFilter = {}) {
+  const fields = {};
+  for (const metric of METRIC_NAMES) {
+    const stats = `$values.${metric}`;
+    fields[`${metric}Min`] = { $min: `${stats}.min` };
+    fields[`${metric}Max`] = { $max: `${stats}.max` };
+    fields[`${metric}Sum`] = {
+      $sum: { $multiply: [`${stats}.avg`, `${stats}.count`] }
+    };
+    fields[`${metric}Count`] = { $sum: `${stats}.count` };
+  }
+
+  return [
+    { $match: { ...baseFilter, bucket: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: bucketStart("$bucket", size),
+        count: { $sum: "$count" },
+        ...fields
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+// Raw pipelines yield an average; rollup pipelines a weighted sum
+function averageOf(row, metric, count) {
+  const sum = row[`${metric}Sum`];
+  if (sum === undefined) return row[`${metric}Avg`] ?? null;
+  return count ? sum / count : null;
+}
+
+// Stats for each metric the bucket's readings carried, under `values`
+function formatBucket(row) {
+  const values = {};
+  for (const metric of METRIC_NAMES) {
+    const count = row[`${metric}Count`] ?? 0;
+    if (count === 0) continue;
+    values[metric] = {
+      min: row[`${metric}Min`] ?? null,
+      max: row[`${metric}Max`] ?? null,
+      avg: averageOf(row, metric, count),
+      count
+    };
+  }
+  return { bucket: row._id, count: row.count, values };
+}
+
+// Inserts empty buckets so charts can show gaps instead of joining across them
+function fillGaps(buckets, { size, from, to }) {
+  const byStart = new Map(buckets.map(b => [b.bucket, b]));
+  const filled = [];
+  for (let start = from - (from % size); start <= to; start += size) {
+    filled.push(byStart.get(start) || formatBucket({ _id: start, count: 0 }));
+  }
+  return filled;
+}
+
+function combine(fn, a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+  return fn(a, b);
+}
+
+function mergeStats(a, b) {
+  if (!a || !b) return a || b;
+  const count = a.count + b.count;
+  const weighted = (a.avg ?? 0) * a.count + (b.avg ?? 0) * b.count;
+  return {
+    min: combine(Math.min, a.min, b.min),
+    max: combine(Math.max, a.max, b.max),
+    avg: count ? weighted / count : null,
+    count
+  };
+}
+
+// Combines formatted buckets from two sources; a bucket straddling the
+// rollup/raw boundary appears in both and is merged
+function mergeBuckets(older, recent) {
+  const byStart = new Map(older.map(b => [b.bucket, b]));
+  for (const bucket of recent) {
+    const existing = byStart.get(bucket.bucket);
+    if (!existing) {
+      byStart.set(bucket.bucket, bucket);
+      continue;
+    }
+    const merged = {
+      bucket: bucket.bucket,
+      count: existing.count + bucket.count,
+      values: {}
+    };
+    for (const metric of METRIC_NAMES) {
+      const stats = mergeStats(existing.values[metric], bucket.values[metric]);
+      if (stats) merged.values[metric] = stats;
+    }
+    byStart.set(bucket.bucket, merged);
+  }
+  return [...byStart.values()].sort((a, b) => a.bucket - b.bucket);
+}
+
+// Response shape shared by every storage backend
+function aggregateResult(options, buckets, source = "raw") {
+  return {
+    bucket: Object.keys(BUCKETS).find(key => BUCKETS[key] === options.size),
+    source,
+    from: options.from,
+    to: options.to,
+    data: options.fill ? fillGaps(buckets, options) : buckets
+  };
+}
+
+// Ranges reaching back past raw retention are answered from rollups up to
+// the newest stored rollup period, and from raw readings after it
+async function aggregateReadings(Model, query, baseFilter) {
+  const options = parseAggregateQuery(query);
+  let source = "raw";
+  let buckets;
+
+  if (options.from < rawRetentionCutoff()) {
+    source = rollupForBucketSize(options.size);
+    const rollup = ROLLUPS[source];
+    options.size = Math.max(options.size, rollup.size);
+    options.from -= options.from % options.size;
+
+    // Where the rollups end, not where the clock says they should: until
+    // the job catches up, the periods after its last run are still raw
+    const boundary = Math.max(
+      options.from,
+      Math.min(options.to, await rolledThrough(rollup))
+    );
+    const [older, recent] = await Promise.all([
+      rollup.Model.aggregate(
+        buildRollupPipeline({ ...options, to: boundary }, baseFilter)
+      ),
+      Model.aggregate(buildPipeline({ ...options, from: boundary }, baseFilter))
+    ]);
+    buckets = mergeBuckets(older.map(formatBucket), recent.map(formatBucket));
+  } else {
+    const rows = await Model.aggregate(buildPipeline(options, baseFilter));
+    buckets = rows.map(formatBucket);
+  }
+
+  return aggregateResult(options, buckets, source);
+}
+
+module.exports = {
+  BUCKETS,
+  parseAggregateQuery,
+  buildPipeline,
+  buildRollupPipeline,
+  formatBucket,
+  fillGaps,
+  aggregateResult,
+  aggregateReadings
+};
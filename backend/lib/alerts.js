@@ -0,0 +1,141 @@
+// lib/alerts.js
+// Evaluates alert rules against each stored reading.
+const { EventEmitter } = require("events");
+const Alert = require("../models/Alert");
+const AlertRule = require("../models/AlertRule");
+const { isDuplicateKeyError } = require("./replay");
+const { isMongoConfigured } = require("./errors");
+
+// Emits "opened" and "resolved" with the alert document
+const alertEvents = new EventEmitter();
+
+// First breaching reading per rule/device while waiting out durationSeconds.
+// Kept in memory: after a restart the duration simply starts over.
+const pendingSince = new Map();
+
+const COMPARATORS = {
+  ">": (value, threshold) => value > threshold,
+  ">=": (value, threshold) => value >= threshold,
+  "<": (value, threshold) => value < threshold,
+  "<=": (value, threshold) => value <= threshold
+};
+
+function isBreached(rule, value) {
+  return COMPARATORS[rule.operator](value, rule.threshold);
+}
+
+// Clearing needs the value back past the threshold by the hysteresis margin,
+// so a reading hovering at the limit does not open and resolve repeatedly
+function isCleared(rule, value) {
+  const above = rule.operator === ">" || rule.operator === ">=";
+  return above
+    ? value < rule.threshold - rule.hysteresis
+    : value > rule.threshold + rule.hysteresis;
+}
+
+async function openAlert(rule, reading, value) {
+  try {
+    const alert = await Alert.create({
+      ruleId: rule._id,
+      ruleName: rule.name,
+      deviceId: reading.deviceId,
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      triggerValue: value,
+      lastValue: value
+    });
+    alertEvents.emit("opened", alert);
+    return alert;
+  } catch (err) {
+    // Another request opened it first
+    if (isDuplicateKeyError(err)) return null;
+    throw err;
+  }
+}
+
+async function resolveAlert(alert, value) {
+  alert.set({
+    state: "resolved",
+    active: false,
+    lastValue: value,
+    resolvedAt: new Date()
+  });
+  await alert.save();
+  alertEvents.emit("resolved", alert);
+}
+
+async function evaluateRule(rule, reading) {
+  const value = reading.values && reading.values[rule.metric];
+  if (typeof value !== "number") return;
+
+  const key = `${rule._id}:${reading.deviceId}`;
+  const active = await Alert.findOne({
+    ruleId: rule._id,
+    deviceId: reading.deviceId,
+    active: true
+  });
+
+  if (active) {
+    if (isCleared(rule, value)) {
+      await resolveAlert(active, value);
+    } else {
+      await Alert.updateOne({ _id: active._id }, { lastValue: value });
+    }
+    return;
+  }
+
+  if (!isBreached(rule, value)) {
+    pendingSince.delete(key);
+    return;
+  }
+
+  const since = pendingSince.get(key) ?? reading.timestamp;
+  if (reading.timestamp - since >= rule.durationSeconds) {
+    pendingSince.delete(key);
+    await openAlert(rule, reading, value);
+  } else {
+    pendingSince.set(key, since);
+  }
+}
+
+// Runs every enabled rule that applies to the reading's device
+async function evaluateReading(reading) {
+  const rules = await AlertRule.find({
+    enabled: true,
+    deviceId: { $in: [null, reading.deviceId] }
+  });
+  for (const rule of rules) {
+    await evaluateRule(rule, reading);
+  }
+}
+
+// Ingest must not fail because alerting did; errors are only logged.
+// Readings are evaluated oldest first so durations are measured correctly.
+async function evaluateReadings(readings) {
+  if (!isMongoConfigured()) return; // rules live in MongoDB
+  const ordered = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+  for (const reading of ordered) {
+    try {
+      await evaluateReading(reading);
+    } catch (err) {
+      console.error("Alert evaluation failed:", err.message);
+    }
+  }
+}
+
+// Forget pending state for a rule that was edited or deleted
+function resetRule(ruleId) {
+  for (const key of pendingSince.keys()) {
+    if (key.startsWith(`${ruleId}:`)) pendingSince.delete(key);
+  }
+}
+
+module.exports = {
+  alertEvents,
+  isBreached,
+  isCleared,
+  evaluateReading,
+  evaluateReadings,
+  resetRule
+};
@@ -0,0 +1,156 @@
+// lib/anomalies.js
+// Flags readings that look like sensor faults rather than real conditions:
+// values far outside the device's recent spread (z-score), changes faster
+// than the air can change (rate), and a value frozen over many samples
+// (flat line). Flagged readings are still stored, with an `anomalies` list.
+const { badRequest } = require("./errors");
+const { METRIC_NAMES } = require("./metricRegistry");
+const { readingAnomalies } = require("./metrics");
+
+// Recent readings kept per device for the checks
+const WINDOW_SIZE = Number(process.env.ANOMALY_WINDOW_SIZE) || 30;
+// The z-score needs this many earlier readings to mean anything
+const MIN_SAMPLES = 10;
+const Z_THRESHOLD = Number(process.env.ANOMALY_Z_THRESHOLD) || 4;
+// Largest believable change per minute; metrics not listed skip the check
+const MAX_RATE_PER_MINUTE = {
+  temperature: Number(process.env.ANOMALY_MAX_TEMPERATURE_RATE) || 5,
+  humidity: Number(process.env.ANOMALY_MAX_HUMIDITY_RATE) || 20
+};
+// Identical values in a row before a metric counts as stuck
+const FLATLINE_SAMPLES = Number(process.env.ANOMALY_FLATLINE_SAMPLES) || 20;
+
+function meanAndDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+    values.length;
+  return { mean, deviation: Math.sqrt(variance) };
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// `earlier` holds the device's window entries before `reading`, oldest
+// first. Each flag is `{ type, metric, value }`, where `value` is the
+// z-score, the change per minute, or the number of identical samples.
+function detectAnomalies(reading, earlier, options = {}) {
+  const {
+    minSamples = MIN_SAMPLES,
+    zThreshold = Z_THRESHOLD,
+    maxRatePerMinute = MAX_RATE_PER_MINUTE,
+    flatlineSamples = FLATLINE_SAMPLES
+  } = options;
+  const flags = [];
+
+  for (const metric of METRIC_NAMES) {
+    const value = reading.values[metric];
+    if (typeof value !== "number") continue;
+    const history = earlier.filter(
+      entry => typeof entry.values[metric] === "number"
+    );
+
+    // Flagged readings still count towards the spread, so that a real and
+    // lasting shift stops being flagged once the window has caught up
+    if (history.length >= minSamples) {
+      const { mean, deviation } = meanAndDeviation(
+        history.map(entry => entry.values[metric])
+      );
+      const score = deviation > 0 ? Math.abs(value - mean) / deviation : 0;
+      if (score > zThreshold) {
+        flags.push({ type: "zscore", metric, value: round(score) });
+      }
+    }
+
+    // Measured from the last clean reading, so the drop back after a
+    // one-sample spike is not flagged as well
+    const previous = history.filter(entry => !entry.flagged).pop();
+    const elapsed = previous && reading.timestamp - previous.timestamp;
+    if (elapsed > 0 && maxRatePerMinute[metric] !== undefined) {
+      const rate = Math.abs(value - previous.values[metric]) / (elapsed / 60);
+      if (rate > maxRatePerMinute[metric]) {
+        flags.push({ type: "rate", metric, value: round(rate) });
+      }
+    }
+
+    const recent = history.slice(-(flatlineSamples - 1));
+    if (
+      recent.length === flatlineSamples - 1 &&
+      recent.every(entry => entry.values[metric] === value)
+    ) {
+      flags.push({ type: "flatline", metric, value: flatlineSamples });
+    }
+  }
+
+  return flags;
+}
+
+// Keeps a window of recent readings per device, seeded from storage the
+// first time a device is seen so restarts do not blind the checks
+function createAnomalyDetector(storage, { windowSize = WINDOW_SIZE } = {}) {
+  const windows = new Map();
+
+  async function loadWindow(deviceId) {
+    try {
+      const { data } = await storage.findReadings(
+        { limit: String(windowSize) },
+        { deviceId }
+      );
+      return data.reverse().map(reading => ({
+        timestamp: reading.timestamp,
+        values: reading.values || {},
+        flagged: Boolean(reading.anomalies)
+      }));
+    } catch (err) {
+      // Storage is down; start empty and fill up as readings arrive
+      return [];
+    }
+  }
+
+  function windowFor(deviceId) {
+    if (!windows.has(deviceId)) windows.set(deviceId, loadWindow(deviceId));
+    return windows.get(deviceId);
+  }
+
+  // Resolves the reading, with `anomalies` added when any check fails
+  async function annotate(reading) {
+    const window = await windowFor(reading.deviceId);
+    // Readings can arrive out of order from gateway buffers
+    const position = window.findIndex(
+      entry => entry.timestamp >= reading.timestamp
+    );
+    const at = position === -1 ? window.length : position;
+    if (window[at] && window[at].timestamp === reading.timestamp) {
+      return reading; // a duplicate, which storage will turn away
+    }
+
+    const flags = detectAnomalies(reading, window.slice(0, at));
+    window.splice(at, 0, {
+      timestamp: reading.timestamp,
+      values: reading.values,
+      flagged: flags.length > 0
+    });
+    if (window.length > windowSize) window.shift();
+    for (const { type, metric } of flags) {
+      readingAnomalies.inc({ type, metric });
+    }
+
+    return flags.length > 0 ? { ...reading, anomalies: flags } : reading;
+  }
+
+  return { annotate };
+}
+
+// ?anomalies=only narrows a read to flagged readings
+function parseAnomalyFilter(query) {
+  if (query.anomalies === undefined) return {};
+  if (query.anomalies !== "only") {
+    throw badRequest("Invalid 'anomalies': expected only");
+  }
+  return { anomalous: true };
+}
+
+module.exports = {
+  detectAnomalies,
+  createAnomalyDetector,
+  parseAnomalyFilter
+};
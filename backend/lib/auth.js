@@ -0,0 +1,193 @@
+// lib/auth.js
+// Users, API keys and role checks for everything that is not device ingest.
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+const { isMongoConfigured } = require("./errors");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ["viewer", "device", "admin"];
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || "12h";
+const TOKEN_AUDIENCE = "iot-api";
+const API_KEY_PREFIX = "fot_";
+
+function authSecret() {
+  return process.env.AUTH_SECRET;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// --- Passwords (scrypt, salt stored alongside the hash) ---
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), 64);
+  return safeEqual(actual, Buffer.from(hash, "base64"));
+}
+
+// --- Bearer tokens for logged-in users ---
+// Signed with AUTH_SECRET, never the device JWT_SECRET, so a device token
+// can not be presented as a user session or the other way round.
+function issueAccessToken(user) {
+  return jwt.sign({ role: user.role, username: user.username }, authSecret(), {
+    subject: String(user._id),
+    audience: TOKEN_AUDIENCE,
+    expiresIn: TOKEN_TTL
+  });
+}
+
+async function authenticateUser(username, password) {
+  const user = await User.findOne({ username: String(username) }).select(
+    "+passwordHash"
+  );
+  if (!user || user.disabled) return null;
+  if (!(await verifyPassword(String(password), user.passwordHash))) return null;
+
+  user.lastLoginAt = new Date();
+  await user.save();
+  return user;
+}
+
+// --- API keys ---
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+}
+
+const BOOTSTRAP_ADMIN = { type: "apiKey", id: "env:ADMIN_API_KEY", role: "admin" };
+
+async function principalFromApiKey(key) {
+  if (!isMongoConfigured()) return null; // stored keys live in MongoDB
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashApiKey(key),
+    revokedAt: null
+  });
+  if (!apiKey) return null;
+
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(
+    () => {}
+  );
+  const principal = {
+    type: "apiKey",
+    id: String(apiKey._id),
+    role: apiKey.role
+  };
+  if (apiKey.deviceId) principal.deviceId = apiKey.deviceId;
+  return principal;
+}
+
+async function principalFromCredentials(credentials) {
+  // The key from the environment acts as an admin, e.g. to create users
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (adminKey && safeEqual(credentials, adminKey)) return BOOTSTRAP_ADMIN;
+
+  if (credentials.startsWith(API_KEY_PREFIX)) {
+    return principalFromApiKey(credentials);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(credentials, authSecret(), {
+      audience: TOKEN_AUDIENCE,
+      algorithms: ["HS256"]
+    });
+  } catch (err) {
+    return null;
+  }
+  return principalFromUserToken(claims);
+}
+
+// A session token outlives changes to its user, so the role and disabled
+// flag are read from the user record on every request, not from the claims
+async function principalFromUserToken(claims) {
+  if (!isMongoConfigured()) {
+    return { type: "user", id: claims.sub, role: claims.role };
+  }
+  if (!mongoose.isValidObjectId(claims.sub)) return null;
+  const user = await User.findById(claims.sub, "role disabled");
+  if (!user || user.disabled) return null;
+  return { type: "user", id: claims.sub, role: user.role };
+}
+
+// Credentials come from `Authorization: Bearer <token or key>`, an
+// `X-API-Key` header, or `?access_token=` for EventSource, which can not
+// set headers.
+function credentialsFrom(req) {
+  const [scheme, value] = (req.headers.authorization || "").split(" ");
+  if (scheme === "Bearer" && value) return value;
+  if (req.headers["x-api-key"]) return String(req.headers["x-api-key"]);
+  if (req.query.access_token) return String(req.query.access_token);
+  return null;
+}
+
+// Sets req.principal when valid credentials are present; never rejects
+async function authenticate(req, res, next) {
+  const credentials = credentialsFrom(req);
+  req.principal = credentials
+    ? await principalFromCredentials(credentials)
+    : null;
+  next();
+}
+
+// 401 without a principal, 403 when its role is not among `roles`
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.principal) {
+      return res
+        .status(401)
+        .json({ error: "Authentication required", code: "unauthenticated" });
+    }
+    if (!roles.includes(req.principal.role)) {
+      return res
+        .status(403)
+        .json({ error: "Insufficient role", code: "forbidden" });
+    }
+    next();
+  };
+}
+
+// Creates the first admin from ADMIN_USERNAME/ADMIN_PASSWORD if missing
+async function ensureBootstrapAdmin() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+
+  if (await User.exists({ username: ADMIN_USERNAME })) return;
+  await User.create({
+    username: ADMIN_USERNAME,
+    passwordHash: await hashPassword(ADMIN_PASSWORD),
+    role: "admin"
+  });
+  console.log(`👤 Created admin user '${ADMIN_USERNAME}'`);
+}
+
+module.exports = {
+  ROLES,
+  TOKEN_TTL,
+  hashPassword,
+  verifyPassword,
+  issueAccessToken,
+  authenticateUser,
+  hashApiKey,
+  generateApiKey,
+  principalFromCredentials,
+  authenticate,
+  requireRole,
+  ensureBootstrapAdmin
+};
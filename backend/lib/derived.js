@@ -0,0 +1,112 @@
+// lib/derived.js
+// Metrics computed on read from temperature (°C) and relative humidity (%).
+// Nothing here is stored; clients opt in per request with ?fields=.
+const { badRequest } = require("./errors");
+
+// Magnus coefficients (Alduchov & Eskridge), good from -40 to 50 °C
+const MAGNUS_A = 17.625;
+const MAGNUS_B = 243.04;
+
+// Saturation vapour pressure over water, in hPa
+function saturationVapourPressure(t) {
+  return 6.1094 * Math.exp((MAGNUS_A * t) / (MAGNUS_B + t));
+}
+
+function dewPoint(t, rh) {
+  if (rh <= 0) return null;
+  const gamma = Math.log(rh / 100) + (MAGNUS_A * t) / (MAGNUS_B + t);
+  return (MAGNUS_B * gamma) / (MAGNUS_A - gamma);
+}
+
+// The US National Weather Service formula: Steadman's approximation, or
+// the Rothfusz regression with its low/high humidity corrections once the
+// result reaches 80 °F
+function heatIndex(t, rh) {
+  const f = (t * 9) / 5 + 32;
+  let hi = 0.5 * (f + 61 + (f - 68) * 1.2 + rh * 0.094);
+  if ((hi + f) / 2 >= 80) {
+    hi =
+      -42.379 +
+      2.04901523 * f +
+      10.14333127 * rh -
+      0.22475541 * f * rh -
+      0.00683783 * f * f -
+      0.05481717 * rh * rh +
+      0.00122874 * f * f * rh +
+      0.00085282 * f * rh * rh -
+      0.00000199 * f * f * rh * rh;
+    if (rh < 13 && f >= 80 && f <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(f - 95)) / 17);
+    } else if (rh > 85 && f >= 80 && f <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - f) / 5);
+    }
+  }
+  return ((hi - 32) * 5) / 9;
+}
+
+// Grams of water vapour per cubic metre of air
+function absoluteHumidity(t, rh) {
+  const vapourPressure = (saturationVapourPressure(t) * rh) / 100;
+  return (216.7 * vapourPressure) / (273.15 + t);
+}
+
+// Vapour pressure deficit in kPa: how far the air is from saturation
+function vaporPressureDeficit(t, rh) {
+  return (saturationVapourPressure(t) / 10) * (1 - rh / 100);
+}
+
+const DERIVED_FIELDS = {
+  dewPoint: { unit: "°C", compute: dewPoint },
+  heatIndex: { unit: "°C", compute: heatIndex },
+  absoluteHumidity: { unit: "g/m³", compute: absoluteHumidity },
+  vpd: { unit: "kPa", compute: vaporPressureDeficit }
+};
+
+// ?fields=dewPoint,vpd → ["dewPoint", "vpd"]; no parameter means none
+function parseFields(query) {
+  if (!query.fields) return [];
+  const fields = String(query.fields)
+    .split(",")
+    .map(field => field.trim())
+    .filter(Boolean);
+  if (fields.some(field => !DERIVED_FIELDS[field])) {
+    throw badRequest(
+      `Invalid 'fields': choose from ${Object.keys(DERIVED_FIELDS).join(", ")}`
+    );
+  }
+  return [...new Set(fields)];
+}
+
+function deriveValue(field, t, rh) {
+  if (!Number.isFinite(t) || !Number.isFinite(rh)) return null;
+  const value = DERIVED_FIELDS[field].compute(t, rh);
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Rollups and aggregate buckets hold { min, max, avg, count } per metric;
+// their derived values come from the averages
+function metricValue(value) {
+  return value !== null && typeof value === "object" ? value.avg : value;
+}
+
+// Returns a copy of a reading, rollup or aggregate bucket with `fields` added
+function withDerived(reading, fields) {
+  if (fields.length === 0) return reading;
+  const doc =
+    typeof reading.toJSON === "function" ? reading.toJSON() : { ...reading };
+  const values = doc.values || {};
+  const t = metricValue(values.temperature);
+  const rh = metricValue(values.humidity);
+  for (const field of fields) doc[field] = deriveValue(field, t, rh);
+  return doc;
+}
+
+module.exports = {
+  DERIVED_FIELDS,
+  dewPoint,
+  heatIndex,
+  absoluteHumidity,
+  vaporPressureDeficit,
+  parseFields,
+  withDerived
+};
@@ -0,0 +1,84 @@
+// lib/errors.js
+// Errors that carry an HTTP status and a machine-readable code.
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function badRequest(message, code = "bad_request") {
+  return new ApiError(400, code, message);
+}
+
+const UNAVAILABLE_ERRORS = [
+  "MongooseServerSelectionError",
+  "MongoServerSelectionError",
+  "MongoNetworkError",
+  "MongoNetworkTimeoutError",
+  "MongoNotConnectedError"
+];
+
+// Users, keys, alert rules, nonces and the device registry live in MongoDB
+// even when readings are stored elsewhere. Without MONGO_URI the ingest
+// path skips them and their routes answer 503.
+function isMongoConfigured() {
+  return Boolean(process.env.MONGO_URI);
+}
+
+function isDatabaseUnavailable(err) {
+  return (
+    UNAVAILABLE_ERRORS.includes(err && err.name) ||
+    (isMongoConfigured() &&
+      mongoose.connection.readyState !== mongoose.ConnectionStates.connected)
+  );
+}
+
+// Fail fast instead of letting mongoose buffer the write until it times out
+function requireDatabase() {
+  if (mongoose.connection.readyState !== mongoose.ConnectionStates.connected) {
+    throw new ApiError(503, "storage_unavailable", "Database is unavailable");
+  }
+}
+
+// Maps anything thrown on the ingest path to an ApiError
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "token_expired", "Token has expired");
+  }
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "invalid_token", err.message);
+  }
+  if (isDatabaseUnavailable(err)) {
+    return new ApiError(503, "storage_unavailable", "Database is unavailable");
+  }
+  return new ApiError(500, "internal_error", "Internal server error");
+}
+
+function sendApiError(res, err) {
+  const apiError = toApiError(err);
+  if (apiError.retryAfterSeconds) {
+    res.setHeader("Retry-After", String(apiError.retryAfterSeconds));
+  } else if (apiError.status === 503) {
+    res.setHeader("Retry-After", "30");
+  }
+  res
+    .status(apiError.status)
+    .json({ error: apiError.message, code: apiError.code });
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  isMongoConfigured,
+  isDatabaseUnavailable,
+  requireDatabase,
+  toApiError,
+  sendApiError
+};
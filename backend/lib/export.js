@@ -0,0 +1,149 @@
+// lib/export.js
+// Streams readings as CSV or NDJSON straight from a storage cursor.
+const { badRequest } = require("./errors");
+const { parseTime } = require("./readingsQuery");
+const { METRIC_NAMES } = require("./metricRegistry");
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" }
+};
+// One column per registry metric, read from the reading's `values`
+const COLUMNS = [
+  "deviceId",
+  "location",
+  "label",
+  "timestamp",
+  ...METRIC_NAMES,
+  "receivedAt"
+];
+const DEFAULT_COLUMNS = ["deviceId", "timestamp", ...METRIC_NAMES];
+const TIME_COLUMNS = ["timestamp", "receivedAt"];
+
+function parseExportQuery(query) {
+  const format = query.format || "csv";
+  if (!FORMATS[format]) {
+    throw badRequest("Invalid 'format': expected csv or ndjson");
+  }
+
+  const timeFormat = query.timeFormat || "epoch";
+  if (timeFormat !== "epoch" && timeFormat !== "iso") {
+    throw badRequest("Invalid 'timeFormat': expected epoch or iso");
+  }
+
+  const columns = query.columns
+    ? String(query.columns).split(",").map(column => column.trim())
+    : DEFAULT_COLUMNS;
+  const unknown = columns.filter(column => !COLUMNS.includes(column));
+  if (unknown.length > 0 || columns.length === 0) {
+    throw badRequest(`Invalid 'columns': choose from ${COLUMNS.join(", ")}`);
+  }
+
+  const from = parseTime(query.from, "from");
+  const to = parseTime(query.to, "to");
+  if (from !== undefined && to !== undefined && from > to) {
+    throw badRequest("'from' must not be later than 'to'");
+  }
+
+  return { format, timeFormat, columns, from, to };
+}
+
+// `timestamp` is epoch seconds and `receivedAt` a Date; both are written
+// in the requested time format
+function formatTime(value, timeFormat) {
+  if (value === undefined || value === null) return null;
+  const ms = value instanceof Date ? value.getTime() : value * 1000;
+  return timeFormat === "iso" ? new Date(ms).toISOString() : ms / 1000;
+}
+
+function pickColumns(doc, { columns, timeFormat }) {
+  const row = {};
+  for (const column of columns) {
+    if (TIME_COLUMNS.includes(column)) {
+      row[column] = formatTime(doc[column], timeFormat);
+    } else if (METRIC_NAMES.includes(column)) {
+      row[column] = (doc.values && doc.values[column]) ?? null;
+    } else {
+      row[column] = doc[column] ?? null;
+    }
+  }
+  return row;
+}
+
+// Quotes where needed, and defuses text a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(row, { format, columns }) {
+  if (format === "ndjson") return `${JSON.stringify(row)}\n`;
+  return `${columns.map(column => csvCell(row[column])).join(",")}\n`;
+}
+
+function exportFilename({ format, from, to }) {
+  const day = value =>
+    value === undefined
+      ? "all"
+      : new Date(value * 1000).toISOString().slice(0, 10);
+  const { extension } = FORMATS[format];
+  return `sensor-export-${day(from)}-to-${day(to)}.${extension}`;
+}
+
+// Resolves once the socket takes more data or goes away; waiting on
+// "drain" alone would hang forever after the client disconnects
+function writable(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      res.off("error", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+    res.on("error", done);
+  });
+}
+
+// Writes the whole export to `res`, oldest first, holding only one
+// document in memory at a time and pausing whenever the socket is full
+async function streamExport(storage, query, baseFilter, res) {
+  const options = parseExportQuery(query);
+
+  const cursor = storage.streamReadings(options, baseFilter);
+
+  res.setHeader("Content-Type", FORMATS[options.format].contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${exportFilename(options)}"`
+  );
+  res.setHeader("Cache-Control", "no-store");
+
+  if (options.format === "csv") res.write(`${options.columns.join(",")}\n`);
+
+  try {
+    for await (const doc of cursor) {
+      if (res.destroyed) break; // the client went away
+      if (!res.write(formatRow(pickColumns(doc, options), options))) {
+        await writable(res);
+      }
+    }
+    if (!res.destroyed) res.end();
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  COLUMNS,
+  parseExportQuery,
+  csvCell,
+  formatRow,
+  pickColumns,
+  streamExport
+};
@@ -0,0 +1,201 @@
+// lib/heartbeat.js
+// Tracks when each device last checked in and how often it usually does,
+// and classifies it as online, stale or offline. The registry lives in
+// MongoDB so every instance agrees on a device's state.
+const { EventEmitter } = require("events");
+const Device = require("../models/Device");
+
+// Assumed cadence until a device has checked in twice
+const DEFAULT_INTERVAL_SECONDS =
+  Number(process.env.DEVICE_DEFAULT_INTERVAL_SECONDS) || 60;
+// Missed intervals before a device counts as stale, then offline
+const STALE_AFTER_INTERVALS = Number(process.env.DEVICE_STALE_AFTER) || 3;
+const OFFLINE_AFTER_INTERVALS = Number(process.env.DEVICE_OFFLINE_AFTER) || 10;
+const CHECK_INTERVAL_MS = Number(process.env.DEVICE_CHECK_INTERVAL_MS) || 30000;
+// A learned cadence never exceeds a day, whatever the gaps
+const MAX_INTERVAL_SECONDS = 24 * 3600;
+// Weight of the newest gap in the moving average
+const INTERVAL_SMOOTHING = 0.2;
+
+const STATUSES = ["online", "stale", "offline"];
+
+// Emits "status" with { deviceId, status, previous, lastSeenAt } whenever
+// a device changes state
+const deviceEvents = new EventEmitter();
+
+// Firmware health fields read from ingest tokens, with their types
+const METADATA_FIELDS = {
+  rssi: "number",
+  battery: "number",
+  firmware: "string",
+  interval: "number"
+};
+
+// The metadata fields present in a token's claims (or one gateway entry)
+function deviceMetadata(source) {
+  const metadata = {};
+  for (const [field, type] of Object.entries(METADATA_FIELDS)) {
+    const value = source[field];
+    if (typeof value !== type) continue;
+    if (type === "number" && !Number.isFinite(value)) continue;
+    if (type === "string" && value.length > 64) continue;
+    metadata[field] = value;
+  }
+  if (metadata.interval !== undefined && metadata.interval <= 0) {
+    delete metadata.interval;
+  }
+  return metadata;
+}
+
+// A moving average of the gaps between check-ins. Bursts (a gateway
+// flushing its buffer) and gaps that look like outages are left out.
+function nextInterval(current, gapSeconds) {
+  if (gapSeconds < 1) return current;
+  if (!current) {
+    return gapSeconds <= MAX_INTERVAL_SECONDS ? gapSeconds : current;
+  }
+  if (gapSeconds > current * OFFLINE_AFTER_INTERVALS) return current;
+  const smoothed =
+    current * (1 - INTERVAL_SMOOTHING) + gapSeconds * INTERVAL_SMOOTHING;
+  return Math.min(Math.round(smoothed * 10) / 10, MAX_INTERVAL_SECONDS);
+}
+
+// A cadence the firmware declares wins over the learned one
+function expectedInterval(device) {
+  return (
+    (device.metadata && device.metadata.interval) ||
+    device.expectedIntervalSeconds ||
+    DEFAULT_INTERVAL_SECONDS
+  );
+}
+
+function classify(device, now = Date.now()) {
+  if (!device.lastSeenAt) return "offline";
+  const intervals =
+    (now - new Date(device.lastSeenAt).getTime()) /
+    1000 /
+    expectedInterval(device);
+  if (intervals <= STALE_AFTER_INTERVALS) return "online";
+  if (intervals <= OFFLINE_AFTER_INTERVALS) return "stale";
+  return "offline";
+}
+
+// Stores a new state unless another instance got there first, and
+// announces the change only if this call made it
+async function transition(device, status, now) {
+  const result = await Device.updateOne(
+    { _id: device._id, status: device.status ?? null },
+    { $set: { status, statusChangedAt: now } }
+  );
+  if (result.modifiedCount === 0) return;
+  deviceEvents.emit("status", {
+    deviceId: device.deviceId,
+    status,
+    previous: device.status ?? null,
+    lastSeenAt: device.lastSeenAt
+  });
+}
+
+// Called for each stored reading's device: refreshes location, label and
+// firmware metadata, learns the cadence, and brings the device back online
+async function recordHeartbeat({ deviceId, location, label }, metadata = {}) {
+  const now = new Date();
+  const device = await Device.findOne({ deviceId })
+    .select("lastSeenAt expectedIntervalSeconds status")
+    .lean();
+
+  const set = {
+    lastSeenAt: now,
+    ...(location && { location }),
+    ...(label && { label })
+  };
+  if (device && device.lastSeenAt) {
+    const interval = nextInterval(
+      device.expectedIntervalSeconds,
+      (now - device.lastSeenAt) / 1000
+    );
+    if (interval) set.expectedIntervalSeconds = interval;
+  }
+  for (const [field, value] of Object.entries(metadata)) {
+    set[`metadata.${field}`] = value;
+  }
+  if (Object.keys(metadata).length > 0) set.metadataAt = now;
+
+  const updated = await Device.findOneAndUpdate(
+    { deviceId },
+    { $set: set, $setOnInsert: { firstSeenAt: now } },
+    { upsert: true, new: true }
+  ).lean();
+
+  if (updated.status !== "online") await transition(updated, "online", now);
+}
+
+// Moves devices that stopped checking in to stale, then offline
+async function checkDevices(now = new Date()) {
+  const devices = await Device.find({ lastSeenAt: { $ne: null } })
+    .select("deviceId lastSeenAt expectedIntervalSeconds metadata status")
+    .lean();
+  for (const device of devices) {
+    const status = classify(device, now.getTime());
+    if (status !== device.status) await transition(device, status, now);
+  }
+}
+
+// Fleet summary for GET /api/status, classified at the time of asking
+async function fleetStatus(now = new Date()) {
+  const devices = await Device.find().sort({ deviceId: 1 }).lean();
+  const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  const summary = devices.map(device => {
+    const status = classify(device, now.getTime());
+    counts[status]++;
+    return {
+      deviceId: device.deviceId,
+      location: device.location,
+      label: device.label,
+      status,
+      lastSeenAt: device.lastSeenAt,
+      ageSeconds: device.lastSeenAt
+        ? Math.round((now - device.lastSeenAt) / 1000)
+        : null,
+      expectedIntervalSeconds: expectedInterval(device),
+      metadata: device.metadata,
+      metadataAt: device.metadataAt
+    };
+  });
+  return { generatedAt: now, counts, devices: summary };
+}
+
+// Runs every DEVICE_CHECK_INTERVAL_MS; returns a stop function
+function startHeartbeatMonitor() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // previous check still busy
+    running = true;
+    try {
+      await checkDevices();
+    } catch (err) {
+      console.error("Device check failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, CHECK_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  STATUSES,
+  METADATA_FIELDS,
+  deviceEvents,
+  deviceMetadata,
+  nextInterval,
+  classify,
+  recordHeartbeat,
+  checkDevices,
+  fleetStatus,
+  startHeartbeatMonitor
+};
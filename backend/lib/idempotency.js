@@ -0,0 +1,95 @@
+// lib/idempotency.js
+// Idempotency-Key support: a retried request gets the stored first response.
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { isDuplicateKeyError } = require("./replay");
+const { isMongoConfigured, sendApiError } = require("./errors");
+
+const IDEMPOTENCY_TTL_SECONDS =
+  Number(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 3600;
+const MAX_KEY_LENGTH = 255;
+
+// A hash of the exact token(s) in the body. Nothing is verified yet at
+// this point, so the claims inside can not be trusted to say whose key it
+// is; only a resend of the very same tokens shares the scope.
+function tokensHash(body = {}) {
+  const tokens = Array.isArray(body.tokens) ? body.tokens : [body.token];
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(tokens))
+    .digest("hex");
+}
+
+// Whose key it is: the authenticated caller, else the signed tokens the
+// body carries. The same key from two callers is two different requests.
+function callerOf(req) {
+  if (req.principal) return `${req.principal.type}:${req.principal.id}`;
+  return `tokens:${tokensHash(req.body)}`;
+}
+
+function idempotency() {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    // Keys are recorded in MongoDB; without it the header is ignored
+    if (!key || !isMongoConfigured()) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency-Key longer than ${MAX_KEY_LENGTH} characters`,
+        code: "invalid_request"
+      });
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.path} ${callerOf(req)}`;
+
+    try {
+      await IdempotencyKey.create({
+        key,
+        scope,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000)
+      });
+    } catch (err) {
+      if (!isDuplicateKeyError(err)) return sendApiError(res, err);
+
+      const stored = await IdempotencyKey.findOne({ key, scope });
+      if (!stored || stored.statusCode == null) {
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still in progress",
+          code: "idempotency_in_progress"
+        });
+      }
+
+      res.setHeader("Idempotent-Replayed", "true");
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    // Remember the outcome. Server errors, and answers asking the client to
+    // come back later (429, or a batch holding readings back with
+    // Retry-After), are forgotten so the retry runs again.
+    const json = res.json.bind(res);
+    res.json = body => {
+      const retryable =
+        res.statusCode >= 500 ||
+        res.statusCode === 429 ||
+        res.hasHeader("Retry-After");
+      const record = retryable
+        ? IdempotencyKey.deleteOne({ key, scope })
+        : IdempotencyKey.updateOne(
+            { key, scope },
+            {
+              statusCode: res.statusCode,
+              // Plain JSON, not live mongoose documents
+              body: JSON.parse(JSON.stringify(body))
+            }
+          );
+      record.catch(err =>
+        console.error("Idempotency record failed:", err.message)
+      );
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = { idempotency };
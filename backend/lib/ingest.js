@@ -0,0 +1,279 @@
+// lib/ingest.js
+// Turning verified JWT claims into stored readings, singly or in batches.
+const jwt = require("jsonwebtoken");
+const { claimToken, releaseToken } = require("./replay");
+const { deviceMetadata, recordHeartbeat } = require("./heartbeat");
+const {
+  ApiError,
+  badRequest,
+  isMongoConfigured,
+  toApiError
+} = require("./errors");
+const { validateReading } = require("./validation");
+const { METRIC_NAMES } = require("./metricRegistry");
+
+// Readings from tokens that carry no device identity are grouped here
+const UNKNOWN_DEVICE_ID = "unknown";
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 1000;
+
+// Metric values are claims named after registry metrics, as firmware has
+// always sent temperature and humidity, and/or a `values` object. Anything
+// that is not an object is passed on for validation to reject.
+function claimedValues(entry) {
+  const values = {};
+  for (const metric of METRIC_NAMES) {
+    if (entry[metric] !== undefined) values[metric] = entry[metric];
+  }
+  const claimed = entry.values;
+  if (claimed === undefined) return values;
+  if (!claimed || typeof claimed !== "object" || Array.isArray(claimed)) {
+    return claimed;
+  }
+  return { ...values, ...claimed };
+}
+
+// `claims` is the verified token; `entry` is one reading within it (a
+// gateway token may carry readings for several nodes).
+function toReading(claims, entry = claims) {
+  return {
+    deviceId:
+      entry.deviceId || claims.deviceId || claims.sub || UNKNOWN_DEVICE_ID,
+    location: entry.location ?? claims.location,
+    label: entry.label ?? claims.label,
+    timestamp: entry.timestamp,
+    values: claimedValues(entry)
+  };
+}
+
+// Verified claims to a validated, storable reading (throws 422 ApiErrors)
+function prepareReading(claims, receivedAt = new Date()) {
+  return validateReading(toReading(claims), receivedAt);
+}
+
+// Keep the device registry in step with what the node reports, including
+// firmware `metadata` such as RSSI and battery. The registry lives in
+// MongoDB, so it is only kept when that is configured.
+async function touchDevice(reading, metadata = {}) {
+  if (!isMongoConfigured()) return;
+  await recordHeartbeat(reading, metadata);
+}
+
+// Stores one validated reading (409 when already stored) and updates the
+// registry. Token claiming is left to the caller.
+async function saveReading(storage, reading, metadata = {}) {
+  const stored = await storage.insertReading(reading);
+  await touchDevice(stored, metadata);
+  return stored;
+}
+
+function readingKey({ deviceId, timestamp }) {
+  return `${deviceId}\u0000${timestamp}`;
+}
+
+// Checked before any token is claimed, so a rejected batch can be resent
+function checkBatchSize(count) {
+  if (count > BATCH_MAX_ITEMS) {
+    throw new ApiError(
+      413,
+      "batch_too_large",
+      `Batch exceeds ${BATCH_MAX_ITEMS} readings`
+    );
+  }
+}
+
+// Expands a batch request into one entry per reading. Either
+// `{ tokens: [jwt, ...] }` (one reading per token) or `{ token }` whose
+// claims hold a `readings` array. Unverifiable or already-used tokens
+// become per-item results rather than failing the batch.
+//
+// `admit(deviceId)` charges the rate limit once per device per request,
+// however many buffered readings it carries, and throws a 429 ApiError to
+// refuse. It runs before any token is claimed, so refused readings can
+// always be resent: a gateway token fails the whole request, and tokens
+// of a refused device come back `rate_limited`.
+async function expandBatch(body, verify, admit = async () => {}) {
+  if (Array.isArray(body.tokens)) {
+    checkBatchSize(body.tokens.length);
+    const verified = await Promise.all(
+      body.tokens.map(async token => {
+        if (typeof token !== "string") {
+          return { reason: "Token must be a string", code: "invalid_type" };
+        }
+        try {
+          return { claims: await verify(token) };
+        } catch (err) {
+          if (!(err instanceof jwt.JsonWebTokenError)) throw err;
+          return { reason: err.message, code: toApiError(err).code };
+        }
+      })
+    );
+
+    const refused = new Map();
+    for (const { claims } of verified) {
+      const { deviceId } = claims ? toReading(claims) : {};
+      if (!deviceId || refused.has(deviceId)) continue;
+      try {
+        await admit(deviceId);
+        refused.set(deviceId, null);
+      } catch (err) {
+        if (!(err instanceof ApiError) || err.status !== 429) throw err;
+        refused.set(deviceId, err);
+      }
+    }
+
+    return Promise.all(
+      verified.map(async entry => {
+        const { claims } = entry;
+        if (!claims) return entry;
+
+        const limited = refused.get(toReading(claims).deviceId);
+        if (limited) return { rateLimited: limited };
+        if (!(await claimToken(claims))) {
+          return { duplicate: true, reason: "Token already used" };
+        }
+        return {
+          reading: toReading(claims),
+          claims,
+          metadata: deviceMetadata(claims)
+        };
+      })
+    );
+  }
+
+  if (typeof body.token === "string") {
+    const claims = await verify(body.token);
+    if (!Array.isArray(claims.readings)) {
+      throw badRequest("Token has no readings array");
+    }
+    checkBatchSize(claims.readings.length);
+    await admit(toReading(claims).deviceId);
+    if (!(await claimToken(claims))) {
+      throw new ApiError(409, "replayed", "Token already used");
+    }
+    // Metadata in an entry is its node's; the gateway's own is not theirs
+    return claims.readings.map(entry =>
+      entry && typeof entry === "object"
+        ? { reading: toReading(claims, entry), metadata: deviceMetadata(entry) }
+        : { reason: "Reading must be an object", code: "invalid_type" }
+    );
+  }
+
+  throw badRequest("Expected 'tokens' array or 'token' with readings");
+}
+
+// Stores every valid, previously unseen reading and reports per item:
+// `accepted`, `duplicate`, `invalid` with a reason, or `rate_limited` when
+// expandBatch refused its device. One bad entry never fails the rest of
+// the batch. `annotate` may add anomaly flags to each reading before it
+// is stored.
+async function ingestBatch(
+  storage,
+  entries,
+  receivedAt = new Date(),
+  annotate = async reading => reading
+) {
+  const results = entries.map((entry, index) => ({ index, status: "invalid" }));
+  const pending = [];
+  const seen = new Set();
+  const released = [];
+
+  for (const [index, entry] of entries.entries()) {
+    if (entry.duplicate) {
+      results[index] = { index, status: "duplicate", reason: entry.reason };
+      continue;
+    }
+    if (entry.rateLimited) {
+      const err = entry.rateLimited;
+      results[index] = {
+        index,
+        status: "rate_limited",
+        reason: err.message,
+        code: err.code,
+        retryAfterSeconds: err.retryAfterSeconds
+      };
+      continue;
+    }
+    if (!entry.reading) {
+      Object.assign(results[index], { reason: entry.reason, code: entry.code });
+      continue;
+    }
+
+    let reading;
+    try {
+      reading = validateReading(entry.reading, receivedAt);
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      Object.assign(results[index], { reason: err.message, code: err.code });
+      continue;
+    }
+
+    const key = readingKey(reading);
+    if (seen.has(key)) {
+      results[index].status = "duplicate";
+      continue;
+    }
+    seen.add(key);
+
+    reading = await annotate(reading);
+    pending.push({
+      index,
+      reading,
+      claims: entry.claims,
+      metadata: entry.metadata
+    });
+  }
+
+  const inserted = [];
+  const metadataOf = new Map();
+  if (pending.length > 0) {
+    const outcomes = await storage.insertReadings(
+      pending.map(p => p.reading)
+    );
+
+    pending.forEach(({ index, claims, metadata }, i) => {
+      const { status, reading } = outcomes[i];
+      if (status === "accepted") {
+        results[index] = { index, status, id: reading._id };
+        inserted.push(reading);
+        metadataOf.set(reading, metadata);
+      } else if (status === "duplicate") {
+        results[index].status = "duplicate";
+      } else {
+        Object.assign(results[index], {
+          reason: "Save failed",
+          code: "internal_error"
+        });
+        if (claims) released.push(releaseToken(claims));
+      }
+    });
+  }
+  await Promise.all(released);
+
+  // One registry update per device, using its most recent reading
+  const newestByDevice = new Map();
+  for (const doc of inserted) {
+    const current = newestByDevice.get(doc.deviceId);
+    if (!current || doc.timestamp > current.timestamp) {
+      newestByDevice.set(doc.deviceId, doc);
+    }
+  }
+  await Promise.all(
+    [...newestByDevice.values()].map(doc =>
+      touchDevice(doc, metadataOf.get(doc))
+    )
+  );
+
+  return { results, inserted };
+}
+
+module.exports = {
+  UNKNOWN_DEVICE_ID,
+  BATCH_MAX_ITEMS,
+  toReading,
+  readingKey,
+  prepareReading,
+  touchDevice,
+  saveReading,
+  expandBatch,
+  ingestBatch
+};
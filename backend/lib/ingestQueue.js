@@ -0,0 +1,141 @@
+// lib/ingestQueue.js
+// On-disk write-ahead queue for verified readings that arrive while
+// MongoDB is unreachable. Each entry is fsynced before the device gets its
+// 202, and the queue is replayed in order once the database is back.
+const fs = require("fs");
+const path = require("path");
+const { ApiError, toApiError } = require("./errors");
+
+const QUEUE_DIR =
+  process.env.INGEST_QUEUE_DIR || path.join(__dirname, "..", "data");
+const QUEUE_MAX_ITEMS = Number(process.env.INGEST_QUEUE_MAX_ITEMS) || 10000;
+// Drained entries are dropped from the file in steps of this many
+const COMPACT_EVERY = 100;
+
+// `store(entry)` writes one queued entry to the database. `onChange` is
+// told the queue depth whenever it changes.
+function createIngestQueue({
+  dir = QUEUE_DIR,
+  maxItems = QUEUE_MAX_ITEMS,
+  store,
+  onChange = () => {}
+}) {
+  const file = path.join(dir, "ingest-queue.ndjson");
+  const entries = [];
+  let lock = Promise.resolve();
+  let draining = null;
+
+  // Serialises file writes so an append never lands inside a rewrite
+  function exclusive(fn) {
+    const run = lock.then(fn);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  // Picks up whatever a previous process left behind
+  function load() {
+    fs.mkdirSync(dir, { recursive: true });
+    if (!fs.existsSync(file)) return;
+
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // A torn final line from a crash mid-append
+        console.warn("⚠️ Skipping unreadable ingest queue entry");
+      }
+    }
+    onChange(entries.length);
+    if (entries.length > 0) {
+      console.log(`📥 ${entries.length} queued readings waiting for MongoDB`);
+    }
+  }
+
+  function enqueue(entry) {
+    return exclusive(async () => {
+      if (entries.length >= maxItems) {
+        throw new ApiError(
+          503,
+          "queue_full",
+          "Database is unavailable and the ingest queue is full"
+        );
+      }
+
+      const handle = await fs.promises.open(file, "a");
+      try {
+        await handle.appendFile(JSON.stringify(entry) + "\n");
+        await handle.datasync();
+      } finally {
+        await handle.close();
+      }
+      entries.push(entry);
+      onChange(entries.length);
+    });
+  }
+
+  // Rewrites the file with the remaining entries. Renaming a synced temp
+  // file means a crash leaves either the old queue or the new one.
+  function compact() {
+    return exclusive(async () => {
+      const tmp = `${file}.tmp`;
+      const handle = await fs.promises.open(tmp, "w");
+      try {
+        await handle.writeFile(
+          entries.map(entry => JSON.stringify(entry) + "\n").join("")
+        );
+        await handle.datasync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tmp, file);
+      onChange(entries.length);
+    });
+  }
+
+  // Stops at the first storage error and leaves the rest for next time.
+  // Entries the database rejects outright (duplicates, invalid) are dropped.
+  async function drainAll() {
+    let drained = 0;
+    while (entries.length > 0) {
+      try {
+        await store(entries[0]);
+      } catch (err) {
+        const apiError = toApiError(err);
+        if (apiError.code === "storage_unavailable") break;
+        if (apiError.status !== 409) {
+          console.error("Dropping queued reading:", err.message);
+        }
+      }
+      entries.shift();
+      drained++;
+      if (drained % COMPACT_EVERY === 0) await compact();
+    }
+
+    if (drained > 0) {
+      await compact();
+      console.log(
+        `📤 Drained ${drained} queued readings, ${entries.length} left`
+      );
+    }
+    return drained;
+  }
+
+  function drain() {
+    if (!draining) {
+      draining = drainAll().finally(() => {
+        draining = null;
+      });
+    }
+    return draining;
+  }
+
+  return {
+    load,
+    enqueue,
+    drain,
+    depth: () => entries.length
+  };
+}
+
+module.exports = { createIngestQueue };
@@ -0,0 +1,153 @@
+// lib/keyStore.js
+// Verifies ingest tokens against per-device keys selected by `kid`.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const DeviceKey = require("../models/DeviceKey");
+const { requireDatabase } = require("./errors");
+const { jwtVerificationFailures } = require("./metrics");
+
+const HMAC_ALGORITHMS = ["HS256", "HS384", "HS512"];
+const ASYMMETRIC_KEY_TYPES = { ES256: "ec", RS256: "rsa" };
+const KEY_CACHE_TTL_MS = 60 * 1000;
+
+// Short-lived cache so every reading does not cost a key lookup.
+// Revocations on another instance take effect within the TTL. While the
+// database is unreachable, expired entries are still used so readings can
+// be verified and queued.
+const cache = new Map();
+
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+}
+
+function invalidToken(message) {
+  return new jwt.JsonWebTokenError(message);
+}
+
+async function findKey(kid) {
+  const hit = cache.get(kid);
+  if (hit && (hit.expires > Date.now() || !isDatabaseConnected())) {
+    return hit.key;
+  }
+
+  requireDatabase();
+  const key = await DeviceKey.findOne({ kid }).select("+secret").lean();
+  cache.set(kid, { key, expires: Date.now() + KEY_CACHE_TTL_MS });
+  return key;
+}
+
+function forgetKey(kid) {
+  cache.delete(kid);
+}
+
+// A key is usable inside [notBefore, notAfter) unless revoked. Rotation
+// shortens the old key's notAfter so both keys overlap for a while.
+function isKeyActive(key, now = new Date()) {
+  if (key.revokedAt) return false;
+  if (key.notBefore && now < new Date(key.notBefore)) return false;
+  if (key.notAfter && now >= new Date(key.notAfter)) return false;
+  return true;
+}
+
+// Device-scoped keys pin the device identity of everything they sign
+function bindDevice(claims, key) {
+  if (key.scope === "gateway") return claims;
+
+  const claimed = [
+    claims.deviceId,
+    claims.sub,
+    ...(Array.isArray(claims.readings)
+      ? claims.readings.map(r => r && r.deviceId)
+      : [])
+  ].filter(Boolean);
+  if (claimed.some(id => id !== key.deviceId)) {
+    throw invalidToken("token deviceId does not match signing key");
+  }
+
+  return { ...claims, deviceId: key.deviceId };
+}
+
+// Tokens without a `kid` fall back to the fleet-wide JWT_SECRET, if one is
+// still configured, so nodes can be migrated to their own keys gradually.
+async function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw invalidToken("jwt malformed");
+
+  const { kid } = decoded.header;
+  if (!kid) {
+    if (!process.env.JWT_SECRET) throw invalidToken("token has no kid");
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: HMAC_ALGORITHMS
+    });
+  }
+
+  const key = await findKey(String(kid));
+  if (!key) throw invalidToken("unknown kid");
+  if (!isKeyActive(key)) throw invalidToken("signing key is not active");
+
+  const material = HMAC_ALGORITHMS.includes(key.alg)
+    ? key.secret
+    : key.publicKey;
+  const claims = jwt.verify(token, material, { algorithms: [key.alg] });
+  return bindDevice(claims, key);
+}
+
+// Failures are counted for /metrics before being rethrown
+async function verifyDeviceToken(token) {
+  try {
+    return await verifyToken(token);
+  } catch (err) {
+    if (err instanceof jwt.JsonWebTokenError) {
+      jwtVerificationFailures.inc({ reason: err.name });
+    }
+    throw err;
+  }
+}
+
+// Checks key material supplied to the admin routes. Returns an error
+// message, or null when the key is acceptable for `alg`.
+function checkKeyMaterial(alg, { secret, publicKey }) {
+  if (HMAC_ALGORITHMS.includes(alg)) {
+    if (secret === undefined) return null;
+    if (typeof secret !== "string" || secret.length < 32) {
+      return "secret must be at least 32 characters";
+    }
+    return null;
+  }
+
+  if (!ASYMMETRIC_KEY_TYPES[alg]) return `unsupported alg '${alg}'`;
+  if (typeof publicKey !== "string") return `${alg} keys need a PEM publicKey`;
+
+  try {
+    const parsed = crypto.createPublicKey(publicKey);
+    if (parsed.asymmetricKeyType !== ASYMMETRIC_KEY_TYPES[alg]) {
+      return `publicKey is not an ${ASYMMETRIC_KEY_TYPES[alg]} key`;
+    }
+    const curve = parsed.asymmetricKeyDetails.namedCurve;
+    if (alg === "ES256" && curve !== "prime256v1") {
+      return "ES256 keys must use the P-256 curve";
+    }
+  } catch (err) {
+    return "publicKey is not a valid PEM public key";
+  }
+  return null;
+}
+
+function generateKid() {
+  return crypto.randomBytes(12).toString("base64url");
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+module.exports = {
+  HMAC_ALGORITHMS,
+  verifyDeviceToken,
+  isKeyActive,
+  checkKeyMaterial,
+  generateKid,
+  generateSecret,
+  forgetKey
+};
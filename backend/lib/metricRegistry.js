@@ -0,0 +1,137 @@
+// lib/metricRegistry.js
+// The measurements a reading may carry. Each metric has a unit, the range
+// a sensor can plausibly report (ingest rejects anything outside it), a
+// display range for chart axes and the decimals worth showing. Readings
+// keep their values as metric/value pairs, so a new sensor type needs only
+// an entry here or in METRIC_REGISTRY_FILE.
+const fs = require("fs");
+const { DERIVED_FIELDS } = require("./derived");
+const { METADATA_FIELDS } = require("./heartbeat");
+
+const DEFAULT_METRICS = {
+  temperature: {
+    label: "Temperature",
+    unit: "°C",
+    min: Number(process.env.TEMPERATURE_MIN ?? -40),
+    max: Number(process.env.TEMPERATURE_MAX ?? 85),
+    display: { min: -10, max: 40 },
+    precision: 1
+  },
+  humidity: {
+    label: "Humidity",
+    unit: "%",
+    min: 0,
+    max: 100,
+    display: { min: 0, max: 100 },
+    precision: 0
+  },
+  co2: {
+    label: "CO₂",
+    unit: "ppm",
+    min: 0,
+    max: 10000,
+    display: { min: 400, max: 2000 },
+    precision: 0
+  },
+  pressure: {
+    label: "Pressure",
+    unit: "hPa",
+    min: 300,
+    max: 1100,
+    display: { min: 950, max: 1050 },
+    precision: 1
+  }
+};
+
+// Metric names become JSON keys, Mongo paths and SQL identifiers
+const NAME_PATTERN = /^[a-z][A-Za-z0-9]{0,31}$/;
+// Claims and reading fields a metric must not shadow
+const RESERVED_NAMES = [
+  "deviceId",
+  "location",
+  "label",
+  "timestamp",
+  "exp",
+  "iat",
+  "nbf",
+  "sub",
+  "kid",
+  "nonce",
+  "readings",
+  "values",
+  "receivedAt",
+  "anomalies",
+  ...Object.keys(DERIVED_FIELDS),
+  ...Object.keys(METADATA_FIELDS)
+];
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// Fills in defaults and throws on anything the rest of the code can not use
+function checkDefinition(name, definition) {
+  const fail = reason => {
+    throw new Error(`Invalid metric '${name}': ${reason}`);
+  };
+  if (!NAME_PATTERN.test(name)) {
+    fail("names are a lowercase letter then up to 31 letters or digits");
+  }
+  if (RESERVED_NAMES.includes(name)) fail("the name is reserved");
+  if (!definition || typeof definition !== "object") fail("expected object");
+
+  const { unit, min, max, precision = 1 } = definition;
+  const display = definition.display || { min, max };
+  if (typeof unit !== "string") fail("'unit' must be a string");
+  if (!isNumber(min) || !isNumber(max) || min >= max) {
+    fail("'min' and 'max' must be numbers with min < max");
+  }
+  if (!isNumber(display.min) || !isNumber(display.max)) {
+    fail("'display' needs numeric 'min' and 'max'");
+  }
+  if (!Number.isInteger(precision) || precision < 0 || precision > 6) {
+    fail("'precision' must be a whole number from 0 to 6");
+  }
+
+  return {
+    name,
+    label: definition.label || name,
+    unit,
+    min,
+    max,
+    display: { min: display.min, max: display.max },
+    precision
+  };
+}
+
+// The defaults, overridden per metric by the JSON file if one is given.
+// A metric set to null in the file is dropped.
+function loadRegistry(file = process.env.METRIC_REGISTRY_FILE) {
+  let overrides = {};
+  if (file) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new Error(`Could not read METRIC_REGISTRY_FILE: ${err.message}`);
+    }
+  }
+
+  const registry = {};
+  for (const [name, definition] of Object.entries({
+    ...DEFAULT_METRICS,
+    ...overrides
+  })) {
+    if (definition !== null) {
+      registry[name] = Object.freeze(checkDefinition(name, definition));
+    }
+  }
+  if (Object.keys(registry).length === 0) {
+    throw new Error("The metric registry is empty");
+  }
+  return Object.freeze(registry);
+}
+
+const METRIC_REGISTRY = loadRegistry();
+const METRIC_NAMES = Object.keys(METRIC_REGISTRY);
+
+module.exports = { METRIC_REGISTRY, METRIC_NAMES, loadRegistry };
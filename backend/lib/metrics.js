@@ -0,0 +1,136 @@
+// lib/metrics.js
+// Prometheus metrics, exposed on GET /metrics.
+const mongoose = require("mongoose");
+const client = require("prom-client");
+const Device = require("../models/Device");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// outcome: accepted | queued | duplicate | replayed | invalid |
+// unauthorized | rate_limited | unavailable | error
+const ingestReadings = new client.Counter({
+  name: "iot_ingest_readings_total",
+  help: "Readings received on the ingest routes, by outcome",
+  labelNames: ["outcome"],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "iot_http_request_duration_seconds",
+  help: "HTTP request latency by route",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+
+const jwtVerificationFailures = new client.Counter({
+  name: "iot_jwt_verification_failures_total",
+  help: "Device tokens that failed verification, by error type",
+  labelNames: ["reason"],
+  registers: [register]
+});
+
+const readingAnomalies = new client.Counter({
+  name: "iot_reading_anomalies_total",
+  help: "Anomaly flags raised on ingested readings, by check and metric",
+  labelNames: ["type", "metric"],
+  registers: [register]
+});
+
+const mongoReconnectAttempts = new client.Counter({
+  name: "iot_mongo_reconnect_attempts_total",
+  help: "Attempts to (re)connect to MongoDB after a failure",
+  registers: [register]
+});
+
+const ingestQueueDepth = new client.Gauge({
+  name: "iot_ingest_queue_depth",
+  help: "Readings waiting in the on-disk queue for MongoDB",
+  registers: [register]
+});
+
+new client.Gauge({
+  name: "iot_mongo_connected",
+  help: "1 while the MongoDB connection is usable",
+  registers: [register],
+  collect() {
+    const { readyState } = mongoose.connection;
+    this.set(readyState === mongoose.ConnectionStates.connected ? 1 : 0);
+  }
+});
+
+// Read from the device registry at scrape time so every instance reports
+// the same ages, including for devices that last posted elsewhere
+new client.Gauge({
+  name: "iot_device_last_reading_age_seconds",
+  help: "Seconds since each device last delivered a reading",
+  labelNames: ["deviceId"],
+  registers: [register],
+  async collect() {
+    this.reset();
+    const { readyState } = mongoose.connection;
+    if (readyState !== mongoose.ConnectionStates.connected) return;
+    const devices = await Device.find({ lastSeenAt: { $ne: null } })
+      .select("deviceId lastSeenAt")
+      .lean();
+    const now = Date.now();
+    for (const { deviceId, lastSeenAt } of devices) {
+      this.set({ deviceId }, (now - lastSeenAt.getTime()) / 1000);
+    }
+  }
+});
+
+const OUTCOMES_BY_STATUS = {
+  400: "invalid",
+  401: "unauthorized",
+  422: "invalid",
+  429: "rate_limited",
+  503: "unavailable"
+};
+
+// Maps an ApiError from the ingest path to an outcome label
+function ingestOutcome(apiError) {
+  if (apiError.status === 409) return apiError.code; // duplicate | replayed
+  return OUTCOMES_BY_STATUS[apiError.status] || "error";
+}
+
+function recordIngest(outcome, count = 1) {
+  if (count > 0) ingestReadings.inc({ outcome }, count);
+}
+
+// Labels by the matched route pattern, not the raw URL, to keep the
+// number of series bounded
+function requestTimer() {
+  return (req, res, next) => {
+    const end = httpRequestDuration.startTimer();
+    res.on("finish", () => {
+      const route = req.route
+        ? `${req.baseUrl}${req.route.path}`
+        : "unmatched";
+      end({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  };
+}
+
+async function metricsHandler(req, res) {
+  try {
+    res.setHeader("Content-Type", register.contentType);
+    res.send(await register.metrics());
+  } catch (err) {
+    res.status(500).json({ error: "Failed to collect metrics" });
+  }
+}
+
+module.exports = {
+  register,
+  ingestOutcome,
+  recordIngest,
+  jwtVerificationFailures,
+  readingAnomalies,
+  mongoReconnectAttempts,
+  ingestQueueDepth,
+  requestTimer,
+  metricsHandler
+};
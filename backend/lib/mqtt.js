@@ -0,0 +1,226 @@
+// lib/mqtt.js
+// MQTT ingestion for devices that would rather not POST over HTTPS. A
+// device publishes its signed token to sensors/<deviceId>/reading and
+// gets the outcome back on sensors/<deviceId>/ack. On the embedded broker
+// a device connects with its deviceId as the username and a device-role
+// API key issued for that deviceId as the password, and only reaches its
+// own topics.
+const net = require("net");
+const mqtt = require("mqtt");
+const { Aedes } = require("aedes");
+const { toApiError } = require("./errors");
+const { principalFromCredentials } = require("./auth");
+
+// off (default) | embedded: run a broker in-process | client: use MQTT_URL
+const MQTT_MODE = process.env.MQTT_MODE || "off";
+const MQTT_PORT = Number(process.env.MQTT_PORT) || 1883;
+const MQTT_URL = process.env.MQTT_URL || "mqtt://127.0.0.1:1883";
+
+const READING_TOPIC = "sensors/+/reading";
+const READING_TOPIC_PATTERN = /^sensors\/([^/]+)\/reading$/;
+
+function ackTopic(deviceId) {
+  return `sensors/${deviceId}/ack`;
+}
+
+// The payload is the bare JWT, or JSON `{ "token": "..." }`
+function tokenFrom(payload) {
+  const text = payload.toString("utf8").trim();
+  if (!text.startsWith("{")) return text;
+  try {
+    return JSON.parse(text).token;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function readingTopic(deviceId) {
+  return `sensors/${deviceId}/reading`;
+}
+
+// A username ends up inside topic names, so wildcards and levels are out
+const DEVICE_ID_PATTERN = /^[^/+#]+$/;
+const BROKER_ROLES = ["device", "admin"];
+
+async function principalFor(username, password) {
+  if (!username || !DEVICE_ID_PATTERN.test(username) || !password) {
+    return null;
+  }
+  const principal = await principalFromCredentials(password.toString("utf8"));
+  if (!principal || !BROKER_ROLES.includes(principal.role)) return null;
+  // A device key is good for its own device only, so one node's key can
+  // not connect as (and publish for) another
+  if (principal.role === "device" && principal.deviceId !== username) {
+    return null;
+  }
+  return principal;
+}
+
+// Refused connections get CONNACK 4 (bad username or password), or 3
+// (server unavailable) when the credentials could not be checked
+function authenticate(client, username, password, callback) {
+  principalFor(username, password).then(
+    principal => {
+      if (!principal) {
+        const err = new Error("Bad username or password");
+        err.returnCode = 4;
+        return callback(err, false);
+      }
+      client.deviceId = username;
+      client.principal = principal;
+      callback(null, true);
+    },
+    err => {
+      console.error("MQTT authentication failed:", err.message);
+      err.returnCode = 3;
+      callback(err, false);
+    }
+  );
+}
+
+function isAdmin(client) {
+  return client.principal && client.principal.role === "admin";
+}
+
+// Devices may only publish their own readings, so nobody can fake an ack
+// or another node's reading (this also keeps clients off the reserved
+// $SYS/ topics). Admins may publish for any device.
+function authorizePublish(client, packet, callback) {
+  if (!client) return callback(null);
+  const allowed = isAdmin(client)
+    ? READING_TOPIC_PATTERN.test(packet.topic)
+    : packet.topic === readingTopic(client.deviceId);
+  if (!allowed) {
+    return callback(new Error(`Publishing to '${packet.topic}' is denied`));
+  }
+  callback(null);
+}
+
+// A device hears only its own acks; admins may watch every device. Other
+// subscriptions are refused in the SUBACK without dropping the connection.
+function authorizeSubscribe(client, subscription, callback) {
+  const allowed = isAdmin(client)
+    ? subscription.topic.startsWith("sensors/")
+    : subscription.topic === ackTopic(client.deviceId);
+  callback(null, allowed ? subscription : null);
+}
+
+async function startBroker(port) {
+  const broker = await Aedes.createBroker({ drainTimeout: 30000 });
+  broker.authenticate = authenticate;
+  broker.authorizePublish = authorizePublish;
+  broker.authorizeSubscribe = authorizeSubscribe;
+
+  const server = net.createServer(broker.handle);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, resolve);
+  });
+  console.log(`📡 MQTT broker listening on port ${port}`);
+  return broker;
+}
+
+function toAck({ status, body }) {
+  const ack = { status, success: true };
+  if (body.queued) ack.queued = true;
+  if (body.data) {
+    ack.id = String(body.data._id);
+    ack.timestamp = body.data.timestamp;
+  }
+  return ack;
+}
+
+// Verifies and stores one published reading, then acks on the device topic
+async function handleReading(ingestToken, topic, payload, publish) {
+  const match = READING_TOPIC_PATTERN.exec(topic);
+  if (!match) return;
+  const deviceId = match[1];
+
+  let ack;
+  try {
+    ack = toAck(await ingestToken(tokenFrom(payload), { deviceId }));
+  } catch (err) {
+    const apiError = toApiError(err);
+    console.error(`MQTT ${topic} error:`, err.message);
+    ack = {
+      status: apiError.status,
+      success: false,
+      error: apiError.message,
+      code: apiError.code
+    };
+  }
+  publish(ackTopic(deviceId), JSON.stringify(ack));
+}
+
+// In-process: subscribes on the broker itself, whose own publishes bypass
+// authorizePublish
+async function startEmbedded(ingestToken) {
+  const broker = await startBroker(MQTT_PORT);
+  const publish = (topic, message) =>
+    broker.publish(
+      {
+        cmd: "publish",
+        topic,
+        payload: Buffer.from(message),
+        qos: 1,
+        retain: false,
+        dup: false
+      },
+      err => err && console.error("MQTT ack failed:", err.message)
+    );
+
+  broker.subscribe(
+    READING_TOPIC,
+    (packet, done) => {
+      done();
+      handleReading(ingestToken, packet.topic, packet.payload, publish);
+    },
+    () => console.log(`📡 Subscribed to ${READING_TOPIC}`)
+  );
+  return broker;
+}
+
+function startClient(ingestToken) {
+  const client = mqtt.connect(MQTT_URL, {
+    clientId: `iot-backend-${process.pid}`,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD
+  });
+  const publish = (topic, message) =>
+    client.publish(topic, message, { qos: 1 });
+
+  client.on("connect", () => {
+    // QoS 1: a reading may arrive twice, which replay checks turn into a
+    // harmless duplicate
+    client.subscribe(READING_TOPIC, { qos: 1 }, err => {
+      if (err) return console.error("MQTT subscribe failed:", err.message);
+      console.log(`📡 Subscribed to ${READING_TOPIC} on ${MQTT_URL}`);
+    });
+  });
+  client.on("error", err => console.error("MQTT error:", err.message));
+  client.on("message", (topic, payload) =>
+    handleReading(ingestToken, topic, payload, publish)
+  );
+  return client;
+}
+
+// `ingestToken` is the HTTP route's pipeline (see createApp). Resolves
+// with the broker or client, or null when MQTT is switched off.
+async function startMqttIngest(ingestToken, { mode = MQTT_MODE } = {}) {
+  if (mode === "off") return null;
+  if (mode === "embedded") return startEmbedded(ingestToken);
+  if (mode === "client") return startClient(ingestToken);
+  throw new Error(
+    `Unknown MQTT_MODE '${mode}': expected off, embedded or client`
+  );
+}
+
+module.exports = {
+  READING_TOPIC,
+  ackTopic,
+  tokenFrom,
+  authenticate,
+  authorizePublish,
+  authorizeSubscribe,
+  startMqttIngest
+};
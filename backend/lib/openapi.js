@@ -0,0 +1,1276 @@
+// lib/openapi.js
+// OpenAPI 3 description of every route in app.js. It is served at
+// /api/openapi.json, rendered at /api/docs, and requests and responses are
+// validated against it, so a route changed here and not there shows up.
+const { version } = require("../package.json");
+const { ROLES } = require("./auth");
+const { BUCKETS } = require("./aggregate");
+const { COLUMNS } = require("./export");
+const { DERIVED_FIELDS } = require("./derived");
+const { MAX_FUTURE_SKEW_SECONDS } = require("./validation");
+const { METRIC_REGISTRY, METRIC_NAMES } = require("./metricRegistry");
+
+// --- Helpers ---
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } }
+});
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { "application/json": { schema } }
+});
+
+const error = description => json(description, ref("Error"));
+
+const pathId = (name, description) => ({
+  name,
+  in: "path",
+  required: true,
+  schema: { type: "string" },
+  description
+});
+
+// Query values such as ISO dates and comma-separated lists carry reserved
+// characters unencoded, as the handlers have always accepted
+const query = (name, schema, description) => ({
+  name,
+  in: "query",
+  allowReserved: true,
+  schema,
+  ...(description && { description })
+});
+
+const dateTime = { type: "string", format: "date-time" };
+const nullableDateTime = { ...dateTime, nullable: true };
+
+// Shared by every route behind `authenticate`
+const AUTH_ERRORS = {
+  401: error("Missing or invalid credentials"),
+  403: error("Role not allowed")
+};
+// Routers whose data lives only in MongoDB
+const MONGO_ERRORS = {
+  ...AUTH_ERRORS,
+  503: error("MongoDB is unavailable or not configured")
+};
+
+// Push routes also need VAPID keys configured
+const PUSH_ERRORS = {
+  ...MONGO_ERRORS,
+  503: error("MongoDB is unavailable or push is not configured")
+};
+
+const TIME_PARAMS = [
+  query("from", { type: "string" }, "Epoch seconds or an ISO 8601 date"),
+  query("to", { type: "string" }, "Epoch seconds or an ISO 8601 date")
+];
+const DEVICE_PARAM = query(
+  "deviceId",
+  { type: "string" },
+  "Only readings from this device"
+);
+const FIELDS_PARAM = query(
+  "fields",
+  { type: "string" },
+  `Comma-separated derived metrics to add: ${Object.keys(DERIVED_FIELDS).join(
+    ", "
+  )}`
+);
+const ANOMALIES_PARAM = query(
+  "anomalies",
+  { type: "string", enum: ["only"] },
+  "Only readings flagged as likely sensor faults"
+);
+const PAGE_PARAMS = [
+  ...TIME_PARAMS,
+  query("limit", { type: "integer", minimum: 1 }, "Page size (default 100)"),
+  query(
+    "cursor",
+    { type: "string" },
+    "`nextCursor` from the previous page, to page further back"
+  )
+];
+
+const INGEST_ERRORS = {
+  400: error("Malformed request (`missing_token`, `malformed_json`)"),
+  401: error("Token rejected (`invalid_token`, `token_expired`)"),
+  403: error("Device API key required (INGEST_REQUIRE_API_KEY)"),
+  409: error("Token used before (`replayed`) or reading stored (`duplicate`)"),
+  422: error(
+    "Implausible reading (`out_of_range`, `unknown_metric`, `no_values`, ...)"
+  ),
+  429: error("Rate limited (`rate_limited`); see Retry-After"),
+  503: error("Storage down and queue full (`queue_full`)")
+};
+
+// --- Schemas ---
+const metadataFields = {
+  rssi: { type: "number", description: "Signal strength, dBm" },
+  battery: { type: "number", description: "As the firmware reports it" },
+  firmware: { type: "string", maxLength: 64 },
+  interval: {
+    type: "number",
+    exclusiveMinimum: true,
+    minimum: 0,
+    description: "Seconds between readings; overrides the learned cadence"
+  }
+};
+const deviceStatus = { type: "string", enum: ["online", "stale", "offline"] };
+
+// Present only when requested with ?fields=; null without both inputs
+const derivedFields = Object.fromEntries(
+  Object.entries(DERIVED_FIELDS).map(([name, { unit }]) => [
+    name,
+    { type: "number", nullable: true, description: unit }
+  ])
+);
+
+// One property per registry metric, with its unit and accepted range
+const metricValues = Object.fromEntries(
+  Object.values(METRIC_REGISTRY).map(({ name, unit, min, max }) => [
+    name,
+    { type: "number", minimum: min, maximum: max, description: unit }
+  ])
+);
+
+const stats = {
+  type: "object",
+  required: ["min", "max", "avg", "count"],
+  properties: {
+    min: { type: "number", nullable: true },
+    max: { type: "number", nullable: true },
+    avg: { type: "number", nullable: true },
+    count: { type: "integer" }
+  }
+};
+
+const readingFields = {
+  deviceId: {
+    type: "string",
+    pattern: "^[A-Za-z0-9._:-]{1,64}$",
+    description: "Falls back to `sub`, then to \"unknown\""
+  },
+  location: { type: "string", maxLength: 128 },
+  label: { type: "string", maxLength: 128 },
+  timestamp: {
+    type: "number",
+    minimum: 0,
+    description:
+      "Epoch seconds from the device clock, at most " +
+      `${MAX_FUTURE_SKEW_SECONDS}s ahead of the server; defaults to the ` +
+      "time of receipt"
+  }
+};
+
+// Metric values may be claims of their own or gathered in `values`
+const claimedValues = {
+  ...metricValues,
+  values: {
+    type: "object",
+    properties: metricValues,
+    additionalProperties: false
+  }
+};
+
+// Stored readings hold their metric/value pairs under `values`. Metrics
+// since dropped from the registry may still appear in older readings.
+const readingValues = {
+  type: "object",
+  description: "Metric/value pairs; see GET /api/metric-registry",
+  properties: Object.fromEntries(
+    METRIC_NAMES.map(name => [name, { type: "number" }])
+  ),
+  additionalProperties: { type: "number" }
+};
+const statsValues = {
+  type: "object",
+  description: "Stats per metric present in the bucket",
+  additionalProperties: stats
+};
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      code: { type: "string", description: "Machine-readable reason" },
+      details: {
+        type: "array",
+        description: "Schema violations, for `invalid_request`",
+        items: {
+          type: "object",
+          properties: {
+            path: { type: "string" },
+            message: { type: "string" }
+          }
+        }
+      }
+    }
+  },
+  Readiness: {
+    type: "object",
+    required: ["status", "storage", "mongo"],
+    properties: {
+      status: { type: "string", enum: ["ready", "not_ready"] },
+      storage: { type: "string" },
+      mongo: { type: "string" }
+    }
+  },
+  NotFound: {
+    type: "object",
+    required: ["message"],
+    properties: { message: { type: "string" } }
+  },
+  ReadingClaims: {
+    type: "object",
+    description:
+      "Payload of the JWT sent to POST /api/sensor, signed with the device " +
+      "key named by the `kid` header (or JWT_SECRET without one). A " +
+      "gateway-scoped key may instead carry `readings` for POST " +
+      "/api/sensor/batch, each entry naming its own `deviceId`. A reading " +
+      "needs at least one registry metric.",
+    properties: {
+      ...readingFields,
+      ...claimedValues,
+      sub: {
+        type: "string",
+        description: "Device id, if `deviceId` is absent"
+      },
+      jti: {
+        type: "string",
+        description: "Unique token id; a token is accepted only once"
+      },
+      iat: { type: "integer" },
+      exp: { type: "integer", description: "Expiry, epoch seconds" },
+      ...metadataFields,
+      readings: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { ...readingFields, ...claimedValues, ...metadataFields }
+        }
+      }
+    }
+  },
+  Reading: {
+    type: "object",
+    required: ["_id", "timestamp"],
+    properties: {
+      _id: { type: "string" },
+      ...readingFields,
+      values: readingValues,
+      exp: { type: "number" },
+      receivedAt: dateTime,
+      anomalies: {
+        type: "array",
+        description: "Checks the reading failed; absent when none did",
+        items: ref("Anomaly")
+      },
+      ...derivedFields
+    }
+  },
+  Anomaly: {
+    type: "object",
+    required: ["type", "metric"],
+    properties: {
+      type: { type: "string", enum: ["zscore", "rate", "flatline"] },
+      metric: { type: "string", enum: METRIC_NAMES },
+      value: {
+        type: "number",
+        description:
+          "The z-score, the change per minute, or the identical samples seen"
+      }
+    }
+  },
+  Rollup: {
+    type: "object",
+    description: "Hourly summary, returned once raw readings have expired",
+    required: ["deviceId", "bucket", "count"],
+    properties: {
+      _id: { type: "string" },
+      deviceId: { type: "string" },
+      bucket: { type: "number", description: "Bucket start, epoch seconds" },
+      count: { type: "integer" },
+      values: statsValues,
+      ...derivedFields
+    }
+  },
+  ReadingsPage: {
+    type: "object",
+    required: ["data", "nextCursor"],
+    properties: {
+      data: {
+        type: "array",
+        items: { anyOf: [ref("Reading"), ref("Rollup")] }
+      },
+      nextCursor: { type: "string", nullable: true },
+      source: { type: "string", enum: ["raw", "hourly"] }
+    }
+  },
+  Aggregate: {
+    type: "object",
+    required: ["bucket", "source", "from", "to", "data"],
+    properties: {
+      bucket: { type: "string", enum: Object.keys(BUCKETS) },
+      source: { type: "string", enum: ["raw", "hourly", "daily"] },
+      from: { type: "number" },
+      to: { type: "number" },
+      data: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["bucket", "count", "values"],
+          properties: {
+            bucket: { type: "number", description: "Epoch seconds" },
+            count: { type: "integer" },
+            values: statsValues,
+            ...derivedFields
+          }
+        }
+      }
+    }
+  },
+  MetricDefinition: {
+    type: "object",
+    required: ["name", "label", "unit", "min", "max", "display", "precision"],
+    properties: {
+      name: { type: "string" },
+      label: { type: "string" },
+      unit: { type: "string" },
+      min: { type: "number", description: "Lowest value ingest accepts" },
+      max: { type: "number", description: "Highest value ingest accepts" },
+      display: {
+        type: "object",
+        description: "Suggested chart axis range",
+        required: ["min", "max"],
+        properties: { min: { type: "number" }, max: { type: "number" } }
+      },
+      precision: { type: "integer", description: "Decimals worth showing" }
+    }
+  },
+  IngestResult: {
+    type: "object",
+    required: ["success"],
+    properties: {
+      success: { type: "boolean" },
+      data: ref("Reading"),
+      queued: {
+        type: "boolean",
+        description: "Stored on disk until storage is back (202)"
+      }
+    }
+  },
+  BatchResult: {
+    type: "object",
+    required: ["accepted", "duplicate", "invalid", "rate_limited", "results"],
+    properties: {
+      accepted: { type: "integer" },
+      duplicate: { type: "integer" },
+      invalid: { type: "integer" },
+      rate_limited: {
+        type: "integer",
+        description: "Held back by the device's rate limit; resend later"
+      },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["index", "status"],
+          properties: {
+            index: { type: "integer" },
+            status: {
+              type: "string",
+              enum: ["accepted", "duplicate", "invalid", "rate_limited"]
+            },
+            id: { type: "string" },
+            reason: { type: "string" },
+            code: { type: "string" },
+            retryAfterSeconds: { type: "integer" }
+          }
+        }
+      }
+    }
+  },
+  Device: {
+    type: "object",
+    required: ["_id", "deviceId"],
+    properties: {
+      _id: { type: "string" },
+      deviceId: { type: "string" },
+      location: { type: "string" },
+      label: { type: "string" },
+      firstSeenAt: dateTime,
+      lastSeenAt: dateTime,
+      expectedIntervalSeconds: { type: "number" },
+      status: deviceStatus,
+      statusChangedAt: dateTime,
+      metadata: { type: "object", properties: metadataFields },
+      metadataAt: dateTime
+    }
+  },
+  FleetStatus: {
+    type: "object",
+    required: ["generatedAt", "counts", "devices"],
+    properties: {
+      generatedAt: dateTime,
+      counts: {
+        type: "object",
+        required: ["online", "stale", "offline"],
+        properties: {
+          online: { type: "integer" },
+          stale: { type: "integer" },
+          offline: { type: "integer" }
+        }
+      },
+      devices: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["deviceId", "status", "expectedIntervalSeconds"],
+          properties: {
+            deviceId: { type: "string" },
+            location: { type: "string" },
+            label: { type: "string" },
+            status: deviceStatus,
+            lastSeenAt: nullableDateTime,
+            ageSeconds: { type: "number", nullable: true },
+            expectedIntervalSeconds: { type: "number" },
+            metadata: { type: "object", properties: metadataFields },
+            metadataAt: dateTime
+          }
+        }
+      }
+    }
+  },
+  DeviceKey: {
+    type: "object",
+    required: ["_id", "kid", "deviceId", "alg"],
+    properties: {
+      _id: { type: "string" },
+      kid: { type: "string" },
+      deviceId: { type: "string" },
+      scope: { type: "string", enum: ["device", "gateway"] },
+      alg: {
+        type: "string",
+        enum: ["HS256", "HS384", "HS512", "ES256", "RS256"]
+      },
+      secret: {
+        type: "string",
+        description: "Generated HMAC secret; returned only when created"
+      },
+      publicKey: { type: "string" },
+      notBefore: dateTime,
+      notAfter: dateTime,
+      revokedAt: dateTime,
+      rotatedTo: { type: "string" },
+      createdAt: dateTime
+    }
+  },
+  DeviceKeyInput: {
+    type: "object",
+    properties: {
+      deviceId: { type: "string" },
+      scope: { type: "string", enum: ["device", "gateway"] },
+      alg: {
+        type: "string",
+        enum: ["HS256", "HS384", "HS512", "ES256", "RS256"],
+        default: "HS256"
+      },
+      secret: {
+        type: "string",
+        description: "HMAC secret to use instead of a generated one"
+      },
+      publicKey: { type: "string", description: "PEM, for ES256 and RS256" },
+      notBefore: dateTime,
+      notAfter: dateTime
+    }
+  },
+  User: {
+    type: "object",
+    required: ["_id", "username", "role"],
+    properties: {
+      _id: { type: "string" },
+      username: { type: "string" },
+      role: { type: "string", enum: ROLES },
+      disabled: { type: "boolean" },
+      createdAt: dateTime,
+      lastLoginAt: dateTime
+    }
+  },
+  ApiKey: {
+    type: "object",
+    required: ["_id", "name", "role"],
+    properties: {
+      _id: { type: "string" },
+      name: { type: "string" },
+      role: { type: "string", enum: ROLES },
+      deviceId: {
+        type: "string",
+        description: "Device a `device` key speaks for on the MQTT broker"
+      },
+      key: {
+        type: "string",
+        description: "The key itself; returned only when created"
+      },
+      createdAt: dateTime,
+      lastUsedAt: dateTime,
+      revokedAt: dateTime
+    }
+  },
+  AlertRuleInput: {
+    type: "object",
+    properties: {
+      name: { type: "string", maxLength: 128 },
+      metric: { type: "string", enum: METRIC_NAMES },
+      operator: { type: "string", enum: [">", ">=", "<", "<="] },
+      threshold: { type: "number" },
+      durationSeconds: { type: "number", minimum: 0 },
+      hysteresis: { type: "number", minimum: 0 },
+      deviceId: {
+        type: "string",
+        nullable: true,
+        description: "Only this device; null for all"
+      },
+      enabled: { type: "boolean" }
+    }
+  },
+  AlertRule: {
+    allOf: [
+      ref("AlertRuleInput"),
+      {
+        type: "object",
+        required: ["_id", "name", "metric", "operator", "threshold"],
+        properties: { _id: { type: "string" }, createdAt: dateTime }
+      }
+    ]
+  },
+  Alert: {
+    type: "object",
+    required: ["_id", "ruleId", "deviceId", "state"],
+    properties: {
+      _id: { type: "string" },
+      ruleId: { type: "string" },
+      ruleName: { type: "string" },
+      deviceId: { type: "string" },
+      metric: { type: "string" },
+      operator: { type: "string" },
+      threshold: { type: "number" },
+      state: { type: "string", enum: ["open", "acknowledged", "resolved"] },
+      active: { type: "boolean" },
+      triggerValue: { type: "number" },
+      lastValue: { type: "number" },
+      openedAt: dateTime,
+      acknowledgedAt: nullableDateTime,
+      resolvedAt: nullableDateTime
+    }
+  },
+  PushSubscribe: {
+    type: "object",
+    required: ["subscription", "metrics"],
+    properties: {
+      subscription: {
+        type: "object",
+        description: "The browser's PushSubscription.toJSON()",
+        required: ["endpoint", "keys"],
+        properties: {
+          endpoint: { type: "string", description: "An https URL" },
+          expirationTime: { type: "number", nullable: true },
+          keys: {
+            type: "object",
+            required: ["p256dh", "auth"],
+            properties: {
+              p256dh: { type: "string" },
+              auth: { type: "string" }
+            }
+          }
+        }
+      },
+      metrics: {
+        type: "array",
+        description: "Metrics whose alerts are pushed; empty for none",
+        items: { type: "string", enum: METRIC_NAMES }
+      }
+    }
+  },
+  Principal: {
+    type: "object",
+    required: ["type", "id", "role"],
+    properties: {
+      type: { type: "string", enum: ["user", "apiKey"] },
+      id: { type: "string" },
+      role: { type: "string", enum: ROLES }
+    }
+  }
+};
+
+// --- Paths ---
+const paths = {
+  "/health": {
+    get: {
+      tags: ["Health"],
+      summary: "Liveness probe",
+      security: [],
+      responses: {
+        200: json("Process is up", {
+          type: "object",
+          required: ["status"],
+          properties: {
+            status: { type: "string", enum: ["ok"] },
+            uptime: { type: "number" }
+          }
+        })
+      }
+    }
+  },
+  "/ready": {
+    get: {
+      tags: ["Health"],
+      summary: "Readiness probe",
+      security: [],
+      responses: {
+        200: json("Storage and MongoDB are usable", ref("Readiness")),
+        503: json("Not ready yet", ref("Readiness"))
+      }
+    }
+  },
+  "/metrics": {
+    get: {
+      tags: ["Health"],
+      summary: "Prometheus metrics",
+      description: "Public unless METRICS_TOKEN is set.",
+      security: [{ metricsToken: [] }, {}],
+      responses: {
+        200: {
+          description: "Prometheus text exposition format",
+          content: { "text/plain": { schema: { type: "string" } } }
+        },
+        401: error("Invalid metrics token")
+      }
+    }
+  },
+  "/api/auth/login": {
+    post: {
+      tags: ["Auth"],
+      summary: "Exchange a username and password for a bearer token",
+      security: [],
+      requestBody: jsonBody({
+        type: "object",
+        required: ["username", "password"],
+        properties: {
+          username: { type: "string" },
+          password: { type: "string" }
+        }
+      }),
+      responses: {
+        200: json("Signed in", {
+          type: "object",
+          required: ["token", "expiresIn", "role"],
+          properties: {
+            token: { type: "string" },
+            expiresIn: { oneOf: [{ type: "string" }, { type: "number" }] },
+            role: { type: "string", enum: ROLES }
+          }
+        }),
+        400: error("username and password required"),
+        401: error("Invalid credentials")
+      }
+    }
+  },
+  "/api/auth/me": {
+    get: {
+      tags: ["Auth"],
+      summary: "The caller's identity",
+      responses: {
+        200: json("Current principal", ref("Principal")),
+        ...AUTH_ERRORS
+      }
+    }
+  },
+  "/api/devices": {
+    get: {
+      tags: ["Devices"],
+      summary: "Known devices",
+      responses: {
+        200: json("Devices by id", { type: "array", items: ref("Device") }),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/devices/{id}/readings": {
+    get: {
+      tags: ["Devices"],
+      summary: "One device's readings, newest first",
+      parameters: [
+        pathId("id", "Device id"),
+        ...PAGE_PARAMS,
+        ANOMALIES_PARAM,
+        FIELDS_PARAM
+      ],
+      responses: {
+        200: json("A page of readings", ref("ReadingsPage")),
+        400: error("Invalid query"),
+        404: json("Unknown device", ref("NotFound")),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/status": {
+    get: {
+      tags: ["Devices"],
+      summary: "Online, stale and offline devices",
+      description:
+        "A device is stale after missing DEVICE_STALE_AFTER expected " +
+        "intervals and offline after DEVICE_OFFLINE_AFTER.",
+      responses: {
+        200: json("Fleet summary", ref("FleetStatus")),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/admin/keys": {
+    get: {
+      tags: ["Admin"],
+      summary: "Device signing keys",
+      parameters: [query("deviceId", { type: "string" })],
+      responses: {
+        200: json("Keys", { type: "array", items: ref("DeviceKey") }),
+        ...MONGO_ERRORS
+      }
+    },
+    post: {
+      tags: ["Admin"],
+      summary: "Register a device key",
+      requestBody: jsonBody(ref("DeviceKeyInput")),
+      responses: {
+        201: json("Created; a generated secret shows once", ref("DeviceKey")),
+        400: error("Invalid key"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/admin/keys/{kid}/revoke": {
+    post: {
+      tags: ["Admin"],
+      summary: "Revoke a key at once",
+      parameters: [pathId("kid", "Key id")],
+      responses: {
+        200: json("Revoked key", ref("DeviceKey")),
+        404: error("Active key not found"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/admin/keys/{kid}/rotate": {
+    post: {
+      tags: ["Admin"],
+      summary: "Issue a replacement key; the old one expires after an overlap",
+      parameters: [pathId("kid", "Key id")],
+      description:
+        "Takes the same key fields as creating one; the device and scope " +
+        "are kept from the old key.",
+      requestBody: jsonBody(
+        {
+          allOf: [
+            ref("DeviceKeyInput"),
+            {
+              type: "object",
+              properties: { overlapSeconds: { type: "number", minimum: 0 } }
+            }
+          ]
+        },
+        false
+      ),
+      responses: {
+        201: json("Old and new key", {
+          type: "object",
+          required: ["previous", "key"],
+          properties: { previous: ref("DeviceKey"), key: ref("DeviceKey") }
+        }),
+        400: error("Invalid 'overlapSeconds' or key material"),
+        404: error("Rotatable key not found"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/admin/users": {
+    get: {
+      tags: ["Admin"],
+      summary: "Users",
+      responses: {
+        200: json("Users", { type: "array", items: ref("User") }),
+        ...MONGO_ERRORS
+      }
+    },
+    post: {
+      tags: ["Admin"],
+      summary: "Create a user",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["username", "password"],
+        properties: {
+          username: { type: "string" },
+          password: { type: "string" },
+          role: { type: "string", enum: ROLES }
+        }
+      }),
+      responses: {
+        201: json("Created", ref("User")),
+        400: error("Invalid user"),
+        409: error("Username already exists"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/admin/users/{id}": {
+    patch: {
+      tags: ["Admin"],
+      summary: "Change a user's role, password or disabled flag",
+      parameters: [pathId("id", "User id")],
+      requestBody: jsonBody({
+        type: "object",
+        properties: {
+          password: { type: "string" },
+          role: { type: "string", enum: ROLES },
+          disabled: { type: "boolean" }
+        }
+      }),
+      responses: {
+        200: json("Updated", ref("User")),
+        400: error("Invalid change"),
+        404: error("User not found"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/admin/api-keys": {
+    get: {
+      tags: ["Admin"],
+      summary: "API keys",
+      responses: {
+        200: json("API keys", { type: "array", items: ref("ApiKey") }),
+        ...MONGO_ERRORS
+      }
+    },
+    post: {
+      tags: ["Admin"],
+      summary: "Create an API key",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string" },
+          role: { type: "string", enum: ROLES },
+          deviceId: {
+            type: "string",
+            description: "Required for the key to connect to the MQTT broker"
+          }
+        }
+      }),
+      responses: {
+        201: json("Created; `key` is shown once", ref("ApiKey")),
+        400: error("Invalid API key"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/admin/api-keys/{id}/revoke": {
+    post: {
+      tags: ["Admin"],
+      summary: "Revoke an API key",
+      parameters: [pathId("id", "API key id")],
+      responses: {
+        200: json("Revoked", ref("ApiKey")),
+        404: error("Active API key not found"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/alert-rules": {
+    get: {
+      tags: ["Alerts"],
+      summary: "Alert rules",
+      responses: {
+        200: json("Rules", { type: "array", items: ref("AlertRule") }),
+        ...MONGO_ERRORS
+      }
+    },
+    post: {
+      tags: ["Alerts"],
+      summary: "Create an alert rule",
+      requestBody: jsonBody({
+        allOf: [
+          ref("AlertRuleInput"),
+          { required: ["name", "metric", "operator", "threshold"] }
+        ]
+      }),
+      responses: {
+        201: json("Created", ref("AlertRule")),
+        400: error("Invalid rule"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/alert-rules/{id}": {
+    parameters: [pathId("id", "Rule id")],
+    get: {
+      tags: ["Alerts"],
+      summary: "One alert rule",
+      responses: {
+        200: json("Rule", ref("AlertRule")),
+        404: error("Rule not found"),
+        ...MONGO_ERRORS
+      }
+    },
+    patch: {
+      tags: ["Alerts"],
+      summary: "Change an alert rule",
+      requestBody: jsonBody(ref("AlertRuleInput")),
+      responses: {
+        200: json("Updated", ref("AlertRule")),
+        400: error("Invalid rule"),
+        404: error("Rule not found"),
+        ...MONGO_ERRORS
+      }
+    },
+    delete: {
+      tags: ["Alerts"],
+      summary: "Delete an alert rule",
+      responses: {
+        204: { description: "Deleted" },
+        404: error("Rule not found"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/alerts": {
+    get: {
+      tags: ["Alerts"],
+      summary: "Latest 200 alerts, newest first",
+      parameters: [
+        query("state", {
+          type: "string",
+          enum: ["open", "acknowledged", "resolved"]
+        }),
+        query("deviceId", { type: "string" })
+      ],
+      responses: {
+        200: json("Alerts", { type: "array", items: ref("Alert") }),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/alerts/{id}/acknowledge": {
+    post: {
+      tags: ["Alerts"],
+      summary: "Acknowledge an open alert (admin)",
+      parameters: [pathId("id", "Alert id")],
+      responses: {
+        200: json("Acknowledged", ref("Alert")),
+        404: error("Alert not found"),
+        409: error("Alert is not open"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/alerts/{id}/resolve": {
+    post: {
+      tags: ["Alerts"],
+      summary: "Resolve an open or acknowledged alert (admin)",
+      parameters: [pathId("id", "Alert id")],
+      responses: {
+        200: json("Resolved", ref("Alert")),
+        404: error("Alert not found"),
+        409: error("Alert is already resolved"),
+        ...MONGO_ERRORS
+      }
+    }
+  },
+  "/api/push/vapid-public-key": {
+    get: {
+      tags: ["Alerts"],
+      summary: "The VAPID public key browsers subscribe with",
+      responses: {
+        200: json("Key", {
+          type: "object",
+          required: ["publicKey"],
+          properties: { publicKey: { type: "string" } }
+        }),
+        ...PUSH_ERRORS
+      }
+    }
+  },
+  "/api/push/subscribe": {
+    post: {
+      tags: ["Alerts"],
+      summary: "Push alerts on the given metrics to this browser",
+      description:
+        "Creates or replaces the subscription for its endpoint. When an " +
+        "alert opens on one of `metrics`, a Web Push message is sent.",
+      requestBody: jsonBody(ref("PushSubscribe")),
+      responses: {
+        200: json("Saved", {
+          type: "object",
+          required: ["endpoint", "metrics"],
+          properties: {
+            endpoint: { type: "string" },
+            metrics: { type: "array", items: { type: "string" } }
+          }
+        }),
+        400: error("Invalid subscription"),
+        ...PUSH_ERRORS
+      }
+    }
+  },
+  "/api/push/unsubscribe": {
+    post: {
+      tags: ["Alerts"],
+      summary: "Stop pushing alerts to this browser",
+      requestBody: jsonBody({
+        type: "object",
+        required: ["endpoint"],
+        properties: { endpoint: { type: "string" } }
+      }),
+      responses: {
+        204: { description: "Deleted, or was not subscribed" },
+        400: error("Invalid endpoint"),
+        ...PUSH_ERRORS
+      }
+    }
+  },
+  "/api/sensor": {
+    get: {
+      tags: ["Readings"],
+      summary: "Readings, newest first",
+      description:
+        "With MongoDB, paging carries on past raw retention into hourly " +
+        "rollups; `source` says which one a page came from.",
+      parameters: [
+        ...PAGE_PARAMS,
+        DEVICE_PARAM,
+        ANOMALIES_PARAM,
+        FIELDS_PARAM
+      ],
+      responses: {
+        200: json("A page of readings", ref("ReadingsPage")),
+        400: error("Invalid query"),
+        ...AUTH_ERRORS
+      }
+    },
+    post: {
+      tags: ["Ingest"],
+      summary: "Submit one signed reading",
+      description:
+        "The body carries a JWT whose payload is a `ReadingClaims`. " +
+        "`token` is checked by the handler rather than the schema so that " +
+        "devices keep getting the `missing_token` code. Send an " +
+        "Idempotency-Key header to make retries safe.",
+      security: [{}, { apiKey: [] }],
+      parameters: [
+        {
+          name: "Idempotency-Key",
+          in: "header",
+          schema: { type: "string", maxLength: 255 }
+        }
+      ],
+      requestBody: jsonBody({
+        type: "object",
+        properties: {
+          token: {
+            description: "JWT (a string); see ReadingClaims for its payload",
+            "x-payload": ref("ReadingClaims")
+          }
+        }
+      }),
+      responses: {
+        200: json("Stored", ref("IngestResult")),
+        202: json("Queued until storage is back", ref("IngestResult")),
+        ...INGEST_ERRORS
+      }
+    }
+  },
+  "/api/sensor/batch": {
+    post: {
+      tags: ["Ingest"],
+      summary: "Submit buffered readings from a gateway",
+      description:
+        "Either `tokens`, one JWT per reading, or a single gateway `token` " +
+        "whose claims hold a `readings` array. Each item gets a result. " +
+        "A request counts once against each device's rate limit, however " +
+        "many readings it carries. A refused gateway `token` gets 429; " +
+        "tokens of a refused device are `rate_limited` and can be resent " +
+        "after Retry-After.",
+      security: [{}, { apiKey: [] }],
+      requestBody: jsonBody({
+        type: "object",
+        properties: {
+          tokens: { type: "array", items: {} },
+          token: { type: "string" }
+        }
+      }),
+      responses: {
+        200: json("Per-item results", ref("BatchResult")),
+        ...INGEST_ERRORS
+      }
+    }
+  },
+  "/api/sensor/latest": {
+    get: {
+      tags: ["Readings"],
+      summary: "Newest reading",
+      parameters: [DEVICE_PARAM, FIELDS_PARAM],
+      responses: {
+        200: json("Newest reading", ref("Reading")),
+        400: error("Invalid 'fields'"),
+        404: json("No readings yet", ref("NotFound")),
+        ...AUTH_ERRORS
+      }
+    }
+  },
+  "/api/metric-registry": {
+    get: {
+      tags: ["Readings"],
+      summary: "Metrics readings may carry",
+      description: "Set with METRIC_REGISTRY_FILE; see lib/metricRegistry.js.",
+      responses: {
+        200: json("Registry", {
+          type: "object",
+          required: ["data"],
+          properties: {
+            data: { type: "array", items: ref("MetricDefinition") }
+          }
+        }),
+        ...AUTH_ERRORS
+      }
+    }
+  },
+  "/api/sensor/stream": {
+    get: {
+      tags: ["Readings"],
+      summary: "Server-sent events of new readings",
+      description:
+        "Each `reading` event's data is a `Reading`; `device` events carry " +
+        "`{ deviceId, status, previous, lastSeenAt }` when a device changes " +
+        "state. Browsers pass their " +
+        "bearer token as `access_token`; Last-Event-ID resumes a feed.",
+      parameters: [
+        query("access_token", { type: "string" }),
+        query("lastEventId", { type: "string" }, "Same as Last-Event-ID"),
+        FIELDS_PARAM,
+        {
+          name: "Last-Event-ID",
+          in: "header",
+          schema: { type: "string" }
+        }
+      ],
+      responses: {
+        200: {
+          description: "Event stream",
+          content: { "text/event-stream": { schema: { type: "string" } } }
+        },
+        400: error("Invalid 'fields'"),
+        ...AUTH_ERRORS
+      }
+    }
+  },
+  "/api/sensor/aggregate": {
+    get: {
+      tags: ["Readings"],
+      summary: "Min/max/avg/count per time bucket",
+      parameters: [
+        query("bucket", {
+          type: "string",
+          enum: Object.keys(BUCKETS),
+          default: "1h"
+        }),
+        ...TIME_PARAMS,
+        query(
+          "fill",
+          { type: "string", enum: ["true", "false", "1", "0"] },
+          "Include empty buckets"
+        ),
+        DEVICE_PARAM,
+        {
+          ...FIELDS_PARAM,
+          description: `${FIELDS_PARAM.description}, from each bucket's mean`
+        }
+      ],
+      responses: {
+        200: json("Buckets, oldest first", ref("Aggregate")),
+        400: error("Invalid query"),
+        ...AUTH_ERRORS
+      }
+    }
+  },
+  "/api/sensor/export": {
+    get: {
+      tags: ["Readings"],
+      summary: "Download readings, oldest first",
+      parameters: [
+        query("format", {
+          type: "string",
+          enum: ["csv", "ndjson"],
+          default: "csv"
+        }),
+        ...TIME_PARAMS,
+        query(
+          "columns",
+          { type: "string" },
+          `Comma-separated, from ${COLUMNS.join(", ")}`
+        ),
+        query("timeFormat", {
+          type: "string",
+          enum: ["epoch", "iso"],
+          default: "epoch"
+        }),
+        DEVICE_PARAM
+      ],
+      responses: {
+        200: {
+          description: "Streamed file",
+          content: {
+            "text/csv": { schema: { type: "string" } },
+            "application/x-ndjson": { schema: { type: "string" } }
+          }
+        },
+        400: error("Invalid query"),
+        ...AUTH_ERRORS
+      }
+    }
+  }
+};
+
+const spec = {
+  openapi: "3.0.3",
+  info: {
+    title: "IoT backend API",
+    version,
+    description:
+      "Sensor ingest, readings, devices, alerts and administration. " +
+      "Errors are `{ error, code }`."
+  },
+  tags: [
+    { name: "Health" },
+    { name: "Auth" },
+    { name: "Ingest" },
+    { name: "Readings" },
+    { name: "Devices" },
+    { name: "Alerts" },
+    { name: "Admin" }
+  ],
+  security: [{ bearerAuth: [] }, { apiKey: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      metricsToken: { type: "http", scheme: "bearer" }
+    },
+    schemas
+  }
+};
+
+module.exports = { spec };
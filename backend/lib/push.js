@@ -0,0 +1,115 @@
+// lib/push.js
+// Web Push for alerts: browsers subscribe with the metrics they care about
+// and are notified when an alert opens on one of them. Off unless
+// VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are set; generate a pair with
+// `npx web-push generate-vapid-keys`.
+const webpush = require("web-push");
+const PushSubscription = require("../models/PushSubscription");
+const { METRIC_REGISTRY } = require("./metricRegistry");
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || "";
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || "";
+// Push services contact this address about a misbehaving sender
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || "mailto:admin@localhost";
+// How long a push service holds a message for a tablet that is offline
+const PUSH_TTL_SECONDS = Number(process.env.PUSH_TTL_SECONDS) || 3600;
+
+const PUSH_ENABLED = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+// Malformed keys stop the server at startup rather than at the first alert
+if (PUSH_ENABLED) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+// Statuses meaning the browser dropped the subscription
+const GONE_STATUSES = [404, 410];
+
+function isPushEnabled() {
+  return PUSH_ENABLED;
+}
+
+function formatValue(value, metric) {
+  if (typeof value !== "number") return String(value);
+  const text = metric ? value.toFixed(metric.precision) : String(value);
+  return metric ? `${text} ${metric.unit}` : text;
+}
+
+// What the service worker shows. `url` opens the dashboard focused on the
+// device and metric; `tag` makes a repeat replace rather than stack.
+function alertPayload(alert) {
+  const metric = METRIC_REGISTRY[alert.metric];
+  const label = metric ? metric.label : alert.metric;
+  const params = new URLSearchParams({
+    device: alert.deviceId,
+    metric: alert.metric
+  });
+  return {
+    title: `${label} alert on ${alert.deviceId}`,
+    body:
+      `${formatValue(alert.triggerValue, metric)} ` +
+      `(${alert.operator} ${formatValue(alert.threshold, metric)})` +
+      (alert.ruleName ? ` · ${alert.ruleName}` : ""),
+    tag: `alert-${alert.ruleId}-${alert.deviceId}`,
+    url: `/?${params}`,
+    alertId: String(alert._id),
+    deviceId: alert.deviceId,
+    metric: alert.metric
+  };
+}
+
+// Sends to each subscription opted into the alert's metric and returns how
+// many were delivered. Subscriptions the push service reports gone are
+// deleted; other failures are logged and the subscription kept.
+async function notifyAlert(alert) {
+  if (!PUSH_ENABLED) return 0;
+  const subscriptions = await PushSubscription.find({
+    metrics: alert.metric
+  }).lean();
+  const payload = JSON.stringify(alertPayload(alert));
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        payload,
+        { TTL: PUSH_TTL_SECONDS, urgency: "high" }
+      );
+      sent++;
+      await PushSubscription.updateOne(
+        { _id: subscription._id },
+        { lastSentAt: new Date() }
+      );
+    } catch (err) {
+      if (GONE_STATUSES.includes(err.statusCode)) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+        continue;
+      }
+      console.error(
+        `Push to ${new URL(subscription.endpoint).host} failed:`,
+        err.message
+      );
+    }
+  }
+  return sent;
+}
+
+// Alerting must not fail because a push service did; errors are only logged
+function pushAlert(alert) {
+  notifyAlert(alert)
+    .then(sent => {
+      if (sent > 0) {
+        console.log(
+          `📲 Alert on ${alert.deviceId} pushed to ${sent} device(s)`
+        );
+      }
+    })
+    .catch(err => console.error("Alert push failed:", err.message));
+}
+
+module.exports = {
+  VAPID_PUBLIC_KEY,
+  isPushEnabled,
+  alertPayload,
+  notifyAlert,
+  pushAlert
+};
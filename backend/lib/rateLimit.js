@@ -0,0 +1,108 @@
+// lib/rateLimit.js
+// Token-bucket rate limiting for the ingest routes.
+//
+// A store implements `take(key, { capacity, refillPerSecond })` and
+// resolves `{ allowed, retryAfterSeconds }`. The in-memory store below
+// suits a single instance; several instances need a shared store (Redis or
+// similar) with the same interface.
+const { ApiError, sendApiError } = require("./errors");
+
+const IDLE_SWEEP_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const buckets = new Map();
+
+  function take(key, { capacity, refillPerSecond }) {
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    // Kept for the sweep, which has no limits of its own
+    bucket.capacity = capacity;
+    bucket.refillPerSecond = refillPerSecond;
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(
+      capacity,
+      bucket.tokens + elapsed * refillPerSecond
+    );
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    buckets.set(key, bucket);
+
+    return Promise.resolve({
+      allowed,
+      retryAfterSeconds: allowed
+        ? 0
+        : Math.ceil((1 - bucket.tokens) / refillPerSecond)
+    });
+  }
+
+  // Drop buckets that have refilled completely; they hold no state. A
+  // slow refill can take longer than the sweep interval to get there.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      const elapsed = (now - bucket.updatedAt) / 1000;
+      if (bucket.tokens + elapsed * bucket.refillPerSecond >= bucket.capacity) {
+        buckets.delete(key);
+      }
+    }
+  }, IDLE_SWEEP_MS);
+  sweep.unref();
+
+  return { take, close: () => clearInterval(sweep) };
+}
+
+// `perMinute` is the sustained rate, `burst` the bucket size
+function limitFromEnv(prefix, defaults) {
+  const perMinute =
+    Number(process.env[`${prefix}_PER_MINUTE`]) || defaults.perMinute;
+  const burst = Number(process.env[`${prefix}_BURST`]) || defaults.burst;
+  return { capacity: burst, refillPerSecond: perMinute / 60 };
+}
+
+const LIMITS = {
+  ip: limitFromEnv("RATE_LIMIT_IP", { perMinute: 300, burst: 60 }),
+  device: limitFromEnv("RATE_LIMIT_DEVICE", { perMinute: 30, burst: 10 })
+};
+
+function rateLimited(retryAfterSeconds) {
+  const err = new ApiError(429, "rate_limited", "Too many requests");
+  err.retryAfterSeconds = retryAfterSeconds;
+  return err;
+}
+
+function createRateLimiter({
+  store = createMemoryStore(),
+  limits = LIMITS
+} = {}) {
+  // Throws a 429 ApiError (with retryAfterSeconds) when over the limit
+  async function consume(kind, id) {
+    const result = await store.take(`${kind}:${id}`, limits[kind]);
+    if (!result.allowed) throw rateLimited(result.retryAfterSeconds);
+  }
+
+  // Per client IP, applied before any token work so floods stay cheap
+  function byIp() {
+    return async (req, res, next) => {
+      try {
+        await consume("ip", req.ip);
+        next();
+      } catch (err) {
+        if (!(err instanceof ApiError)) return next(err);
+        sendApiError(res, err);
+      }
+    };
+  }
+
+  // Per device, called once the token is verified so a spoofed deviceId
+  // can not drain another node's bucket
+  function checkDevice(deviceId) {
+    return consume("device", deviceId);
+  }
+
+  return { byIp, checkDevice, store };
+}
+
+module.exports = { LIMITS, createMemoryStore, createRateLimiter };
@@ -0,0 +1,125 @@
+// lib/readingsQuery.js
+// Query-string parsing shared by the routes that page through readings.
+const mongoose = require("mongoose");
+const { badRequest } = require("./errors");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = Number(process.env.SENSOR_QUERY_MAX_LIMIT) || 1000;
+
+// Accepts epoch seconds ("1718000000") or anything Date can parse (ISO 8601).
+// Returns epoch seconds, matching how readings store `timestamp`.
+function parseTime(value, name) {
+  if (value === undefined || value === "") return undefined;
+
+  const raw = String(value);
+  if (/^\d+(\.\d+)?$/.test(raw)) return Number(raw);
+
+  const ms = Date.parse(raw);
+  if (Number.isNaN(ms)) {
+    throw badRequest(`Invalid '${name}': expected epoch seconds or ISO date`);
+  }
+  return ms / 1000;
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === "") return DEFAULT_LIMIT;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw badRequest("Invalid 'limit': expected a positive integer");
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort key
+function encodeCursor(doc, timeField = "timestamp") {
+  const payload = JSON.stringify({ t: doc[timeField], id: String(doc._id) });
+  return Buffer.from(payload).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url"));
+    if (typeof t !== "number" || !mongoose.isValidObjectId(id)) throw new Error();
+    return { t, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw badRequest("Invalid 'cursor'");
+  }
+}
+
+// Parses ?from=&to=&limit=&cursor= for any storage backend. Results are
+// ordered newest first by (timestamp, _id) so paging is stable even when
+// several readings share a timestamp.
+function parseReadingsQuery(query) {
+  const from = parseTime(query.from, "from");
+  const to = parseTime(query.to, "to");
+  const limit = parseLimit(query.limit);
+
+  if (from !== undefined && to !== undefined && from > to) {
+    throw badRequest("'from' must not be later than 'to'");
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : undefined;
+  return { from, to, limit, cursor };
+}
+
+// Builds the Mongo filter on top of a base filter. Rollup collections
+// page the same way on their `bucket` field.
+function buildReadingsQuery(query, baseFilter = {}, timeField = "timestamp") {
+  const { from, to, limit, cursor } = parseReadingsQuery(query);
+
+  const filter = { ...baseFilter };
+  if (from !== undefined || to !== undefined) {
+    filter[timeField] = {};
+    if (from !== undefined) filter[timeField].$gte = from;
+    if (to !== undefined) filter[timeField].$lte = to;
+  }
+
+  if (cursor) {
+    filter.$or = [
+      { [timeField]: { $lt: cursor.t } },
+      { [timeField]: cursor.t, _id: { $lt: cursor.id } }
+    ];
+  }
+
+  return { filter, limit, sort: { [timeField]: -1, _id: -1 } };
+}
+
+// Rows are fetched with one extra to learn whether another page exists
+function toPage(rows, limit, timeField = "timestamp") {
+  const data = rows.slice(0, limit);
+  const nextCursor =
+    rows.length > limit
+      ? encodeCursor(data[data.length - 1], timeField)
+      : null;
+  return { data, nextCursor };
+}
+
+// Runs a paged find and returns `{ data, nextCursor }`
+async function findReadingsPage(
+  Model,
+  query,
+  baseFilter,
+  timeField = "timestamp"
+) {
+  const { filter, limit, sort } = buildReadingsQuery(
+    query,
+    baseFilter,
+    timeField
+  );
+  const rows = await Model.find(filter).sort(sort).limit(limit + 1);
+  return toPage(rows, limit, timeField);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseTime,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  parseReadingsQuery,
+  buildReadingsQuery,
+  toPage,
+  findReadingsPage
+};
@@ -0,0 +1,42 @@
+// lib/replay.js
+// One-time use of ingest tokens, tracked by their `jti` claim.
+const Nonce = require("../models/Nonce");
+const { isMongoConfigured } = require("./errors");
+
+// How long to remember a jti when the token itself never expires
+const NONCE_TTL_SECONDS = Number(process.env.NONCE_TTL_SECONDS) || 7 * 24 * 3600;
+
+function isDuplicateKeyError(err) {
+  return Boolean(err) && err.code === 11000;
+}
+
+// Records the token's jti. Resolves false when it was already used.
+// Tokens without a jti, or without MongoDB to record it in, are left to
+// the (deviceId, timestamp) uniqueness of stored readings.
+async function claimToken(claims) {
+  if (!claims.jti || !isMongoConfigured()) return true;
+
+  const expiresAt = claims.exp
+    ? new Date(claims.exp * 1000)
+    : new Date(Date.now() + NONCE_TTL_SECONDS * 1000);
+
+  try {
+    await Nonce.create({
+      jti: String(claims.jti),
+      deviceId: claims.deviceId || claims.sub,
+      expiresAt
+    });
+    return true;
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return false;
+    throw err;
+  }
+}
+
+// Undo a claim when the reading could not be stored, so the device can retry
+async function releaseToken(claims) {
+  if (!claims.jti || !isMongoConfigured()) return;
+  await Nonce.deleteOne({ jti: String(claims.jti) });
+}
+
+module.exports = { isDuplicateKeyError, claimToken, releaseToken };
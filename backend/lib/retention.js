@@ -0,0 +1,54 @@
+// lib/retention.js
+// How long raw readings are kept, and the rollup collections that
+// summarise them for longer.
+const HourlyRollup = require("../models/HourlyRollup");
+const DailyRollup = require("../models/DailyRollup");
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const RAW_RETENTION_DAYS = Number(process.env.RAW_RETENTION_DAYS) || 30;
+// 0 keeps rollups forever
+const HOURLY_RETENTION_DAYS = Number(
+  process.env.HOURLY_RETENTION_DAYS ?? 365
+);
+const DAILY_RETENTION_DAYS = Number(process.env.DAILY_RETENTION_DAYS ?? 0);
+
+const ROLLUPS = {
+  hourly: {
+    Model: HourlyRollup,
+    size: 60 * 60,
+    retentionDays: HOURLY_RETENTION_DAYS
+  },
+  daily: {
+    Model: DailyRollup,
+    size: DAY_SECONDS,
+    retentionDays: DAILY_RETENTION_DAYS
+  }
+};
+
+// Epoch seconds before which raw readings may already have been purged
+function rawRetentionCutoff(now = Date.now()) {
+  return Math.floor(now / 1000) - RAW_RETENTION_DAYS * DAY_SECONDS;
+}
+
+// Coarsest rollup no larger than the requested bucket size; hourly is the
+// finest resolution available once raw readings are gone
+function rollupForBucketSize(size) {
+  return size >= ROLLUPS.daily.size ? "daily" : "hourly";
+}
+
+// End of the newest stored bucket: everything before it has been rolled
+// up, whatever the clock says. 0 before the rollup job's first run.
+async function rolledThrough({ Model, size }) {
+  const latest = await Model.findOne().sort({ bucket: -1 }).lean();
+  return latest ? latest.bucket + size : 0;
+}
+
+module.exports = {
+  DAY_SECONDS,
+  RAW_RETENTION_DAYS,
+  ROLLUPS,
+  rawRetentionCutoff,
+  rollupForBucketSize,
+  rolledThrough
+};
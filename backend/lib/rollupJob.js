@@ -0,0 +1,144 @@
+// lib/rollupJob.js
+// Scheduled job: writes hourly/daily rollups, then applies retention.
+const Sensor = require("../models/Sensor");
+const { buildPipeline, formatBucket } = require("./aggregate");
+const {
+  DAY_SECONDS,
+  ROLLUPS,
+  rawRetentionCutoff,
+  rolledThrough
+} = require("./retention");
+
+const ROLLUP_INTERVAL_MS =
+  Number(process.env.ROLLUP_INTERVAL_MS) || 60 * 60 * 1000;
+// Readings that arrive late (gateway replays) are folded into rollups
+// as long as they fall inside this window
+const LOOKBACK_SECONDS =
+  (Number(process.env.ROLLUP_LOOKBACK_HOURS) || 48) * 60 * 60;
+// Raw history is aggregated in slices of this size on the first run
+const CHUNK_SECONDS = 7 * DAY_SECONDS;
+
+function alignDown(value, size) {
+  return value - (value % size);
+}
+
+function alignUp(value, size) {
+  return value % size === 0 ? value : alignDown(value, size) + size;
+}
+
+// First bucket that still needs (re)computing. Periods older than raw
+// retention are never recomputed: their raw readings may be gone.
+async function rollupStart(Model, size, end, now) {
+  const latest = await Model.findOne().sort({ bucket: -1 }).lean();
+  if (!latest) {
+    const oldest = await Sensor.findOne().sort({ timestamp: 1 }).lean();
+    return oldest ? alignDown(oldest.timestamp, size) : end;
+  }
+
+  const from = Math.min(
+    latest.bucket + size,
+    alignDown(end - LOOKBACK_SECONDS, size)
+  );
+  return Math.max(from, alignUp(rawRetentionCutoff(now * 1000), size));
+}
+
+// Upserts rollups for every completed period in the window; re-running
+// over the same period just rewrites the same documents
+async function rollUp(name, now) {
+  const { Model, size } = ROLLUPS[name];
+  const end = alignDown(now, size);
+  let written = 0;
+
+  for (
+    let from = await rollupStart(Model, size, end, now);
+    from < end;
+    from += CHUNK_SECONDS
+  ) {
+    const to = Math.min(from + CHUNK_SECONDS, end);
+    const rows = await Sensor.aggregate(
+      buildPipeline(
+        { size, from, to, exclusiveTo: true },
+        {},
+        { byDevice: true }
+      )
+    );
+    if (rows.length === 0) continue;
+
+    await Model.bulkWrite(
+      rows.map(row => {
+        const { bucket, ...stats } = formatBucket({
+          ...row,
+          _id: row._id.bucket
+        });
+        return {
+          updateOne: {
+            filter: { deviceId: row._id.deviceId, bucket },
+            update: { $set: { ...stats, updatedAt: new Date() } },
+            upsert: true
+          }
+        };
+      }),
+      { ordered: false }
+    );
+    written += rows.length;
+  }
+
+  return written;
+}
+
+// Deletes raw readings past retention, but only those already covered by
+// both rollups, and rollups past their own retention (0 keeps forever)
+async function purgeExpired(now) {
+  const covered = [];
+  for (const rollup of Object.values(ROLLUPS)) {
+    covered.push(await rolledThrough(rollup));
+  }
+
+  const rawCutoff = Math.min(rawRetentionCutoff(now * 1000), ...covered);
+  const { deletedCount } = await Sensor.deleteMany({
+    timestamp: { $lt: rawCutoff }
+  });
+
+  for (const { Model, retentionDays } of Object.values(ROLLUPS)) {
+    if (retentionDays > 0) {
+      await Model.deleteMany({
+        bucket: { $lt: now - retentionDays * DAY_SECONDS }
+      });
+    }
+  }
+
+  return deletedCount;
+}
+
+async function runRetention(now = Math.floor(Date.now() / 1000)) {
+  const hourly = await rollUp("hourly", now);
+  const daily = await rollUp("daily", now);
+  const purged = await purgeExpired(now);
+  console.log(
+    `🗄️ Rollups: ${hourly} hourly, ${daily} daily; purged ${purged} raw readings`
+  );
+}
+
+// Runs immediately and then every ROLLUP_INTERVAL_MS; returns a stop function
+function startRetentionJob() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // previous run still busy
+    running = true;
+    try {
+      await runRetention();
+    } catch (err) {
+      console.error("Retention job failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, ROLLUP_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = { rollUp, purgeExpired, runRetention, startRetentionJob };
@@ -0,0 +1,106 @@
+// lib/sensorStream.js
+// Server-Sent Events fan-out of newly saved readings.
+const { parseFields, withDerived } = require("./derived");
+const { sendApiError } = require("./errors");
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+const REPLAY_BUFFER_SIZE = Number(process.env.SSE_REPLAY_BUFFER) || 500;
+const RETRY_MS = 5000;
+
+// `fields` are the derived metrics the client asked for with ?fields=
+function formatEvent({ id, event, data }, fields = []) {
+  const payload = JSON.stringify(withDerived(data, fields));
+  return `id: ${id}\nevent: ${event}\ndata: ${payload}\n\n`;
+}
+
+function createSensorStream({
+  heartbeatMs = HEARTBEAT_MS,
+  bufferSize = REPLAY_BUFFER_SIZE
+} = {}) {
+  // Each client's response, mapped to the derived fields it asked for
+  const clients = new Map();
+  // Recent events kept so reconnecting clients can resume via Last-Event-ID
+  const buffer = [];
+
+  function publish(reading) {
+    const doc =
+      typeof reading.toJSON === "function" ? reading.toJSON() : reading;
+    const entry = { id: String(doc._id), event: "reading", data: doc };
+
+    buffer.push(entry);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    // Clients asking for the same fields share one serialised frame
+    const frames = new Map();
+    for (const [res, fields] of clients) {
+      const key = fields.join(",");
+      if (!frames.has(key)) frames.set(key, formatEvent(entry, fields));
+      res.write(frames.get(key));
+    }
+  }
+
+  // Other events (device state changes) go to whoever is connected now;
+  // they carry no id, so they are neither buffered nor replayed
+  function broadcast(event, data) {
+    const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients.keys()) res.write(frame);
+  }
+
+  // Events after `lastEventId`. An id we no longer hold (server restart or
+  // aged out) replays the whole buffer; clients de-duplicate by id.
+  function eventsSince(lastEventId) {
+    if (!lastEventId) return [];
+    const index = buffer.findIndex(entry => entry.id === lastEventId);
+    return index === -1 ? buffer.slice() : buffer.slice(index + 1);
+  }
+
+  function handler(req, res) {
+    let fields;
+    try {
+      fields = parseFields(req.query);
+    } catch (err) {
+      return sendApiError(res, err);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = req.headers["last-event-id"] || req.query.lastEventId;
+    for (const entry of eventsSince(lastEventId)) {
+      res.write(formatEvent(entry, fields));
+    }
+
+    clients.set(res, fields);
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      heartbeatMs
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  function close() {
+    for (const res of clients.keys()) res.end();
+    clients.clear();
+  }
+
+  return {
+    publish,
+    broadcast,
+    handler,
+    close,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = { createSensorStream };
@@ -0,0 +1,40 @@
+// lib/storage/index.js
+// Where readings are kept, chosen with STORAGE=mongo|memory|sqlite.
+//
+// Every backend provides:
+//   kind                          "mongo" | "memory" | "sqlite"
+//   isReady()                     true while reads and writes can succeed
+//   onReady(listener)             called whenever the backend becomes ready
+//   insertReading(reading)        stored reading; 409 ApiError on duplicates
+//   insertReadings(readings)      [{ status: accepted|duplicate|error,
+//                                    reading }] in input order
+//   latestReading(filter)         newest reading or null
+//   findReadings(query, filter)   { data, nextCursor, source }, newest first
+//   aggregateReadings(query, filter)
+//                                 { bucket, source, from, to, data }
+//   streamReadings({ from, to }, filter)
+//                                 async iterable, oldest first, with close()
+//
+// `query` is the request's query string; `filter` may hold `deviceId`, and
+// `anomalous: true` for readings flagged by lib/anomalies.js.
+const { createMongoStorage } = require("./mongo");
+const { createMemoryStorage } = require("./memory");
+const { createSqliteStorage } = require("./sqlite");
+
+const BACKENDS = {
+  mongo: createMongoStorage,
+  memory: createMemoryStorage,
+  sqlite: createSqliteStorage
+};
+
+function createStorage(kind = process.env.STORAGE || "mongo") {
+  const create = BACKENDS[kind];
+  if (!create) {
+    throw new Error(
+      `Unknown STORAGE '${kind}': expected ${Object.keys(BACKENDS).join(", ")}`
+    );
+  }
+  return create();
+}
+
+module.exports = { createStorage };
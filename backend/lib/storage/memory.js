@@ -0,0 +1,145 @@
+// lib/storage/memory.js
+// Readings held in process memory, for tests and short demos. Everything
+// is lost on restart.
+const mongoose = require("mongoose");
+const { ApiError } = require("../errors");
+const { parseReadingsQuery, toPage } = require("../readingsQuery");
+const {
+  parseAggregateQuery,
+  formatBucket,
+  aggregateResult
+} = require("../aggregate");
+const { METRIC_NAMES } = require("../metricRegistry");
+const { readingKey } = require("../ingest");
+
+function newestFirst(a, b) {
+  if (a.timestamp !== b.timestamp) return b.timestamp - a.timestamp;
+  if (a._id === b._id) return 0;
+  return a._id < b._id ? 1 : -1;
+}
+
+function inRange(reading, from, to) {
+  return (
+    (from === undefined || reading.timestamp >= from) &&
+    (to === undefined || reading.timestamp <= to)
+  );
+}
+
+// Rows shaped like the Mongo $group output, so formatBucket applies
+function groupByBucket(readings, size) {
+  const rows = new Map();
+  for (const reading of readings) {
+    const start = reading.timestamp - (reading.timestamp % size);
+    if (!rows.has(start)) rows.set(start, { _id: start, count: 0 });
+    const row = rows.get(start);
+    row.count++;
+
+    for (const metric of METRIC_NAMES) {
+      const value = reading.values[metric];
+      if (typeof value !== "number") continue;
+      row[`${metric}Min`] = Math.min(row[`${metric}Min`] ?? value, value);
+      row[`${metric}Max`] = Math.max(row[`${metric}Max`] ?? value, value);
+      row[`${metric}Sum`] = (row[`${metric}Sum`] ?? 0) + value;
+      row[`${metric}Count`] = (row[`${metric}Count`] ?? 0) + 1;
+    }
+  }
+  return [...rows.values()].sort((a, b) => a._id - b._id);
+}
+
+function createMemoryStorage() {
+  const readings = [];
+  const keys = new Set();
+
+  function matching(filter, from, to) {
+    return readings.filter(
+      reading =>
+        (!filter.deviceId || reading.deviceId === filter.deviceId) &&
+        (!filter.anomalous || Boolean(reading.anomalies)) &&
+        inRange(reading, from, to)
+    );
+  }
+
+  async function insertReading(reading) {
+    const key = readingKey(reading);
+    if (keys.has(key)) {
+      throw new ApiError(409, "duplicate", "Duplicate reading");
+    }
+    // ObjectId strings keep ids and paging cursors the same as in Mongo
+    const stored = {
+      _id: new mongoose.Types.ObjectId().toString(),
+      ...reading
+    };
+    keys.add(key);
+    readings.push(stored);
+    return stored;
+  }
+
+  async function insertReadings(batch) {
+    const outcomes = [];
+    for (const reading of batch) {
+      try {
+        outcomes.push({
+          status: "accepted",
+          reading: await insertReading(reading)
+        });
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        outcomes.push({ status: "duplicate", reading });
+      }
+    }
+    return outcomes;
+  }
+
+  async function latestReading(filter) {
+    return matching(filter).sort(newestFirst)[0] || null;
+  }
+
+  async function findReadings(query, filter) {
+    const { from, to, limit, cursor } = parseReadingsQuery(query);
+    let rows = matching(filter, from, to).sort(newestFirst);
+    if (cursor) {
+      const after = { timestamp: cursor.t, _id: String(cursor.id) };
+      rows = rows.filter(reading => newestFirst(after, reading) < 0);
+    }
+    return { ...toPage(rows.slice(0, limit + 1), limit), source: "raw" };
+  }
+
+  async function aggregateReadings(query, filter) {
+    const options = parseAggregateQuery(query);
+    const rows = groupByBucket(
+      matching(filter, options.from, options.to),
+      options.size
+    );
+    return aggregateResult(options, rows.map(formatBucket));
+  }
+
+  function streamReadings({ from, to }, filter) {
+    const rows = matching(filter, from, to).sort((a, b) => newestFirst(b, a));
+    let closed = false;
+    return {
+      async *[Symbol.asyncIterator]() {
+        for (const row of rows) {
+          if (closed) return;
+          yield row;
+        }
+      },
+      async close() {
+        closed = true;
+      }
+    };
+  }
+
+  return {
+    kind: "memory",
+    isReady: () => true,
+    onReady: listener => setImmediate(listener),
+    insertReading,
+    insertReadings,
+    latestReading,
+    findReadings,
+    aggregateReadings,
+    streamReadings
+  };
+}
+
+module.exports = { createMemoryStorage };
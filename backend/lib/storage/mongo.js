@@ -0,0 +1,201 @@
+// lib/storage/mongo.js
+// Readings in MongoDB via the Sensor model; the default backend, and the
+// only one with rollups for ranges past raw retention.
+const mongoose = require("mongoose");
+const Sensor = require("../../models/Sensor");
+const { ApiError } = require("../errors");
+const { isDuplicateKeyError } = require("../replay");
+const { readingKey } = require("../ingest");
+const {
+  encodeCursor,
+  findReadingsPage,
+  parseReadingsQuery
+} = require("../readingsQuery");
+const { aggregateReadings } = require("../aggregate");
+const { ROLLUPS, rawRetentionCutoff } = require("../retention");
+
+// Storage filters to Sensor queries; only flagged readings have `anomalies`
+function toMongoFilter({ anomalous, ...filter }) {
+  return anomalous ? { ...filter, anomalies: { $exists: true } } : filter;
+}
+
+// Readings and rollups stored before the metric registry had temperature
+// and humidity at the top level; this moves them under `values`. Safe to
+// run on every connect: once done it matches nothing.
+async function migrateLegacyMetrics() {
+  const legacy = ["temperature", "humidity"];
+  const moved = Object.fromEntries(
+    legacy.map(metric => [`values.${metric}`, `$${metric}`])
+  );
+  for (const Model of [Sensor, ROLLUPS.hourly.Model, ROLLUPS.daily.Model]) {
+    const { modifiedCount } = await Model.collection.updateMany(
+      { $or: legacy.map(metric => ({ [metric]: { $exists: true } })) },
+      [{ $set: moved }, { $unset: legacy }]
+    );
+    if (modifiedCount > 0) {
+      console.log(
+        `🗄️ Moved ${modifiedCount} ${Model.collection.name} to metric values`
+      );
+    }
+  }
+}
+
+// Raw readings are complete from the start of this hour on; the retention
+// job rolls periods up before it purges them, so older ones are read from
+// hourly rollups instead
+function rawBoundary() {
+  const cutoff = Math.floor(rawRetentionCutoff());
+  return cutoff - (cutoff % ROLLUPS.hourly.size);
+}
+
+// Cursor id for "continue in the rollups", sorting after any real id
+const ROLLUP_CURSOR_ID = "ffffffffffffffffffffffff";
+
+function createMongoStorage() {
+  // Connecting is left to the server, which also needs the connection for
+  // users, keys and alerts
+  function isReady() {
+    return (
+      mongoose.connection.readyState === mongoose.ConnectionStates.connected
+    );
+  }
+
+  function onReady(listener) {
+    mongoose.connection.on("connected", listener);
+    // After the first connect the driver reconnects on its own
+    mongoose.connection.on("reconnected", listener);
+  }
+
+  async function insertReading(reading) {
+    const sensor = new Sensor(reading);
+    try {
+      await sensor.save();
+    } catch (err) {
+      if (isDuplicateKeyError(err)) {
+        throw new ApiError(409, "duplicate", "Duplicate reading");
+      }
+      throw err;
+    }
+    return sensor;
+  }
+
+  async function insertReadings(readings) {
+    const outcomes = readings.map(reading => ({
+      status: "accepted",
+      reading: new Sensor(reading)
+    }));
+
+    // Skip readings already stored by an earlier (partial) replay
+    const existing = await Sensor.find(
+      {
+        $or: readings.map(({ deviceId, timestamp }) => ({
+          deviceId,
+          timestamp
+        }))
+      },
+      { deviceId: 1, timestamp: 1 }
+    );
+    const stored = new Set(existing.map(readingKey));
+    const pending = [];
+    outcomes.forEach((outcome, i) => {
+      if (stored.has(readingKey(outcome.reading))) {
+        outcome.status = "duplicate";
+      } else {
+        pending.push(i);
+      }
+    });
+    if (pending.length === 0) return outcomes;
+
+    let writeErrors = [];
+    try {
+      await Sensor.insertMany(
+        pending.map(i => outcomes[i].reading),
+        { ordered: false }
+      );
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      writeErrors = err.writeErrors;
+    }
+
+    for (const writeError of writeErrors) {
+      outcomes[pending[writeError.index]].status =
+        writeError.code === 11000 ? "duplicate" : "error";
+    }
+    return outcomes;
+  }
+
+  function latestReading(filter) {
+    return Sensor.findOne(toMongoFilter(filter)).sort({ timestamp: -1 });
+  }
+
+  // Pages newest first through raw readings, then on into hourly rollups
+  // for the part of the window older than raw retention. Each page comes
+  // from one source and says which; the cursor of the last raw page
+  // points below the boundary so paging carries on into the rollups.
+  async function findReadings(query, filter) {
+    const boundary = rawBoundary();
+    const { from, to, cursor } = parseReadingsQuery(query);
+    const baseFilter = toMongoFilter(filter);
+    const inRollups = cursor
+      ? cursor.t < boundary || String(cursor.id) === ROLLUP_CURSOR_ID
+      : to !== undefined && to < boundary;
+
+    if (inRollups) {
+      const page = await findReadingsPage(
+        ROLLUPS.hourly.Model,
+        { ...query, to: String(Math.min(to ?? boundary, boundary - 1)) },
+        baseFilter,
+        "bucket"
+      );
+      return { ...page, source: "hourly" };
+    }
+
+    const page = await findReadingsPage(
+      Sensor,
+      { ...query, from: String(Math.max(from ?? boundary, boundary)) },
+      baseFilter
+    );
+    if (!page.nextCursor && (from === undefined || from < boundary)) {
+      const older = await ROLLUPS.hourly.Model.exists({
+        ...baseFilter,
+        bucket: { $gte: from ?? 0, $lt: boundary }
+      });
+      if (older) {
+        page.nextCursor = encodeCursor({
+          timestamp: boundary,
+          _id: ROLLUP_CURSOR_ID
+        });
+      }
+    }
+    return { ...page, source: "raw" };
+  }
+
+  function aggregate(query, filter) {
+    return aggregateReadings(Sensor, query, toMongoFilter(filter));
+  }
+
+  // Oldest first, one document at a time; the cursor has close()
+  function streamReadings({ from, to }, filter) {
+    const query = toMongoFilter(filter);
+    if (from !== undefined || to !== undefined) {
+      query.timestamp = {};
+      if (from !== undefined) query.timestamp.$gte = from;
+      if (to !== undefined) query.timestamp.$lte = to;
+    }
+    return Sensor.find(query).sort({ timestamp: 1 }).lean().cursor();
+  }
+
+  return {
+    kind: "mongo",
+    isReady,
+    onReady,
+    insertReading,
+    insertReadings,
+    latestReading,
+    findReadings,
+    aggregateReadings: aggregate,
+    streamReadings
+  };
+}
+
+module.exports = { createMongoStorage, migrateLegacyMetrics };
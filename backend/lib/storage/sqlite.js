@@ -0,0 +1,274 @@
+// lib/storage/sqlite.js
+// Readings in a local SQLite file, for field laptops without MongoDB.
+// Uses the optional better-sqlite3 dependency.
+const path = require("path");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const { ApiError } = require("../errors");
+const { parseReadingsQuery, toPage } = require("../readingsQuery");
+const {
+  parseAggregateQuery,
+  formatBucket,
+  aggregateResult
+} = require("../aggregate");
+const { METRIC_NAMES } = require("../metricRegistry");
+
+const SQLITE_PATH =
+  process.env.SQLITE_PATH ||
+  path.join(__dirname, "..", "..", "data", "readings.db");
+// Export reads this many rows per query
+const STREAM_CHUNK_SIZE = 500;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS readings (
+    id TEXT PRIMARY KEY,
+    device_id TEXT NOT NULL,
+    location TEXT,
+    label TEXT,
+    timestamp REAL NOT NULL,
+    metric_values TEXT,
+    exp REAL,
+    received_at TEXT,
+    anomalies TEXT,
+    UNIQUE (device_id, timestamp)
+  );
+  CREATE INDEX IF NOT EXISTS readings_time
+    ON readings (timestamp DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS readings_device_time
+    ON readings (device_id, timestamp DESC, id DESC);
+`;
+
+const COLUMNS = {
+  _id: "id",
+  deviceId: "device_id",
+  location: "location",
+  label: "label",
+  timestamp: "timestamp",
+  values: "metric_values",
+  exp: "exp",
+  receivedAt: "received_at",
+  anomalies: "anomalies"
+};
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error("STORAGE=sqlite needs the better-sqlite3 package");
+  }
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  // Files created before anomaly flags existed lack the column
+  const columns = db.pragma("table_info(readings)").map(({ name }) => name);
+  if (!columns.includes("anomalies")) {
+    db.exec("ALTER TABLE readings ADD COLUMN anomalies TEXT");
+  }
+  // Files created before the metric registry had a column per metric;
+  // json_patch leaves out the ones that were NULL
+  if (!columns.includes("metric_values")) {
+    db.exec(`
+      BEGIN;
+      ALTER TABLE readings ADD COLUMN metric_values TEXT;
+      UPDATE readings SET metric_values = json_patch('{}',
+        json_object('temperature', temperature, 'humidity', humidity));
+      COMMIT;
+    `);
+  }
+  return db;
+}
+
+function toRow(reading) {
+  const row = {};
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    row[column] = reading[field] ?? null;
+  }
+  row.received_at = reading.receivedAt
+    ? new Date(reading.receivedAt).toISOString()
+    : null;
+  row.metric_values = JSON.stringify(reading.values);
+  row.anomalies = reading.anomalies ? JSON.stringify(reading.anomalies) : null;
+  return row;
+}
+
+// Back to the field names (and Date) the Mongo model uses
+function fromRow(row) {
+  const reading = {};
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    if (row[column] !== null) reading[field] = row[column];
+  }
+  if (reading.receivedAt) reading.receivedAt = new Date(reading.receivedAt);
+  reading.values = reading.values ? JSON.parse(reading.values) : {};
+  if (reading.anomalies) reading.anomalies = JSON.parse(reading.anomalies);
+  return reading;
+}
+
+// WHERE clause for the optional filters and time bounds. `cursor`
+// continues a newest-first page, `after` an oldest-first one.
+function whereClause(filter, { from, to, cursor, after } = {}) {
+  const clauses = [];
+  const params = {};
+  if (filter.deviceId) {
+    clauses.push("device_id = @deviceId");
+    params.deviceId = filter.deviceId;
+  }
+  if (filter.anomalous) clauses.push("anomalies IS NOT NULL");
+  if (from !== undefined) {
+    clauses.push("timestamp >= @from");
+    params.from = from;
+  }
+  if (to !== undefined) {
+    clauses.push("timestamp <= @to");
+    params.to = to;
+  }
+  if (cursor) {
+    clauses.push("(timestamp < @t OR (timestamp = @t AND id < @id))");
+    params.t = cursor.t;
+    params.id = String(cursor.id);
+  }
+  if (after) {
+    clauses.push("(timestamp > @t OR (timestamp = @t AND id > @id))");
+    params.t = after.timestamp;
+    params.id = after._id;
+  }
+  const sql = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+  return { sql, params };
+}
+
+// Rows shaped like the Mongo $group output, so formatBucket applies
+function bucketColumns() {
+  return METRIC_NAMES.map(metric => {
+    const value = `json_extract(metric_values, '$.${metric}')`;
+    return `
+      MIN(${value}) AS ${metric}Min,
+      MAX(${value}) AS ${metric}Max,
+      AVG(${value}) AS ${metric}Avg,
+      COUNT(${value}) AS ${metric}Count`;
+  }).join(",");
+}
+
+function createSqliteStorage({ file = SQLITE_PATH } = {}) {
+  const db = openDatabase(file);
+  const insert = db.prepare(`
+    INSERT INTO readings (${Object.values(COLUMNS).join(", ")})
+    VALUES (${Object.values(COLUMNS).map(column => `@${column}`).join(", ")})
+    ON CONFLICT (device_id, timestamp) DO NOTHING
+  `);
+
+  // ObjectId strings keep ids and paging cursors the same as in Mongo.
+  // Resolves null when (deviceId, timestamp) is already stored.
+  function insertOne(reading) {
+    const stored = {
+      _id: new mongoose.Types.ObjectId().toString(),
+      ...reading
+    };
+    return insert.run(toRow(stored)).changes > 0 ? stored : null;
+  }
+
+  async function insertReading(reading) {
+    const stored = insertOne(reading);
+    if (!stored) throw new ApiError(409, "duplicate", "Duplicate reading");
+    return stored;
+  }
+
+  const insertBatch = db.transaction(batch =>
+    batch.map(reading => {
+      const stored = insertOne(reading);
+      return stored
+        ? { status: "accepted", reading: stored }
+        : { status: "duplicate", reading };
+    })
+  );
+
+  async function insertReadings(batch) {
+    return insertBatch(batch);
+  }
+
+  async function latestReading(filter) {
+    const where = whereClause(filter);
+    const row = db
+      .prepare(
+        `SELECT * FROM readings ${where.sql}
+         ORDER BY timestamp DESC, id DESC LIMIT 1`
+      )
+      .get(where.params);
+    return row ? fromRow(row) : null;
+  }
+
+  async function findReadings(query, filter) {
+    const { from, to, limit, cursor } = parseReadingsQuery(query);
+    const where = whereClause(filter, { from, to, cursor });
+    const rows = db
+      .prepare(
+        `SELECT * FROM readings ${where.sql}
+         ORDER BY timestamp DESC, id DESC LIMIT @limit`
+      )
+      .all({ ...where.params, limit: limit + 1 });
+    return { ...toPage(rows.map(fromRow), limit), source: "raw" };
+  }
+
+  // CAST truncates, which is floor for the positive timestamps stored here
+  async function aggregateReadings(query, filter) {
+    const options = parseAggregateQuery(query);
+    const where = whereClause(filter, options);
+    const rows = db
+      .prepare(
+        `SELECT CAST(timestamp / @size AS INTEGER) * @size AS _id,
+           COUNT(*) AS count, ${bucketColumns()}
+         FROM readings ${where.sql}
+         GROUP BY _id ORDER BY _id`
+      )
+      .all({ ...where.params, size: options.size });
+    return aggregateResult(options, rows.map(formatBucket));
+  }
+
+  // Reads in chunks: an open iterator would keep the connection busy and
+  // block ingest for as long as the download takes
+  function streamReadings({ from, to }, filter) {
+    let closed = false;
+    return {
+      async *[Symbol.asyncIterator]() {
+        let after;
+        while (!closed) {
+          const where = whereClause(filter, { from, to, after });
+          const rows = db
+            .prepare(
+              `SELECT * FROM readings ${where.sql}
+               ORDER BY timestamp ASC, id ASC LIMIT @limit`
+            )
+            .all({ ...where.params, limit: STREAM_CHUNK_SIZE })
+            .map(fromRow);
+
+          for (const row of rows) {
+            if (closed) return;
+            yield row;
+          }
+          if (rows.length < STREAM_CHUNK_SIZE) return;
+          after = rows[rows.length - 1];
+        }
+      },
+      async close() {
+        closed = true;
+      }
+    };
+  }
+
+  return {
+    kind: "sqlite",
+    isReady: () => db.open,
+    onReady: listener => setImmediate(listener),
+    insertReading,
+    insertReadings,
+    latestReading,
+    findReadings,
+    aggregateReadings,
+    streamReadings
+  };
+}
+
+module.exports = { createSqliteStorage };
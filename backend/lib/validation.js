@@ -0,0 +1,86 @@
+// lib/validation.js
+// Type, range and clock checks applied to every reading before it is stored.
+// Metric values are checked against the registry (lib/metricRegistry.js).
+const { ApiError } = require("./errors");
+const { METRIC_REGISTRY } = require("./metricRegistry");
+
+// Device clocks may run ahead of ours by this much before we reject
+const MAX_FUTURE_SKEW_SECONDS =
+  Number(process.env.MAX_FUTURE_SKEW_SECONDS) || 300;
+
+const ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+const MAX_TEXT_LENGTH = 128;
+
+function invalid(code, message) {
+  return new ApiError(422, code, message);
+}
+
+function checkNumber(value, field) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw invalid("invalid_type", `'${field}' must be a finite number`);
+  }
+}
+
+function checkText(value, field) {
+  if (value === undefined || value === null) return;
+  if (typeof value !== "string" || value.length > MAX_TEXT_LENGTH) {
+    throw invalid(
+      "invalid_type",
+      `'${field}' must be a string of at most ${MAX_TEXT_LENGTH} characters`
+    );
+  }
+}
+
+// Returns the reading ready to store, or throws a 422 ApiError naming the
+// first problem. `receivedAt` is the server clock; a reading without a
+// device timestamp is stamped with it.
+function validateReading(reading, receivedAt = new Date()) {
+  const { deviceId } = reading;
+  if (typeof deviceId !== "string" || !ID_PATTERN.test(deviceId)) {
+    throw invalid(
+      "invalid_device_id",
+      "'deviceId' must be 1-64 characters of letters, digits, '.', '_', ':' or '-'"
+    );
+  }
+  checkText(reading.location, "location");
+  checkText(reading.label, "label");
+
+  const receivedSeconds = receivedAt.getTime() / 1000;
+  const timestamp = reading.timestamp ?? Math.floor(receivedSeconds);
+  checkNumber(timestamp, "timestamp");
+  if (timestamp < 0) {
+    throw invalid("out_of_range", "'timestamp' must be epoch seconds");
+  }
+  if (timestamp > receivedSeconds + MAX_FUTURE_SKEW_SECONDS) {
+    throw invalid(
+      "timestamp_in_future",
+      `'timestamp' is more than ${MAX_FUTURE_SKEW_SECONDS}s ahead of server time`
+    );
+  }
+
+  const { values } = reading;
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw invalid("invalid_type", "'values' must be an object");
+  }
+  const metrics = Object.keys(values);
+  if (metrics.length === 0) {
+    throw invalid("no_values", "Reading has no metric values");
+  }
+  for (const metric of metrics) {
+    if (!Object.hasOwn(METRIC_REGISTRY, metric)) {
+      throw invalid("unknown_metric", `Unknown metric '${metric}'`);
+    }
+    const definition = METRIC_REGISTRY[metric];
+    checkNumber(values[metric], metric);
+    if (values[metric] < definition.min || values[metric] > definition.max) {
+      throw invalid(
+        "out_of_range",
+        `'${metric}' must be between ${definition.min} and ${definition.max}`
+      );
+    }
+  }
+
+  return { ...reading, timestamp, receivedAt };
+}
+
+module.exports = { MAX_FUTURE_SKEW_SECONDS, validateReading };
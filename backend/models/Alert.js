@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One occurrence of a rule firing for a device. `active` is true while the
+// alert is open or acknowledged, so at most one such alert exists per
+// rule and device.
+const alertSchema = new mongoose.Schema({
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AlertRule",
+    required: true
+  },
+  ruleName: String,
+  deviceId: { type: String, required: true },
+  metric: String,
+  operator: String,
+  threshold: Number,
+  state: {
+    type: String,
+    enum: ["open", "acknowledged", "resolved"],
+    default: "open"
+  },
+  active: { type: Boolean, default: true },
+  triggerValue: Number,
+  lastValue: Number,
+  openedAt: { type: Date, default: Date.now },
+  acknowledgedAt: Date,
+  resolvedAt: Date
+});
+
+alertSchema.index(
+  { ruleId: 1, deviceId: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+alertSchema.index({ state: 1, openedAt: -1 });
+
+module.exports = mongoose.model("Alert", alertSchema);
\ No newline at end of file
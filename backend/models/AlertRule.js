@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const { METRIC_NAMES } = require("../lib/metricRegistry");
+
+// A threshold on one metric, optionally scoped to a single device.
+// The condition must hold for `durationSeconds` before an alert opens, and
+// the value must come back past the threshold by `hysteresis` to resolve it.
+const alertRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 128 },
+  metric: { type: String, required: true, enum: METRIC_NAMES },
+  operator: { type: String, required: true, enum: [">", ">=", "<", "<="] },
+  threshold: { type: Number, required: true },
+  durationSeconds: { type: Number, default: 0, min: 0 },
+  hysteresis: { type: Number, default: 0, min: 0 },
+  deviceId: { type: String, default: null },
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("AlertRule", alertRuleSchema);
\ No newline at end of file
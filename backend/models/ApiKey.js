@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Machine-client credentials. Only a SHA-256 hash of the key is stored;
+// the key itself is shown once when created.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  keyHash: { type: String, required: true, unique: true, select: false },
+  role: {
+    type: String,
+    enum: ["viewer", "device", "admin"],
+    default: "viewer"
+  },
+  // The one device a device-role key speaks for; the MQTT broker only
+  // lets the key connect under this deviceId
+  deviceId: {
+    type: String,
+    trim: true,
+    match: [/^[^/+#]+$/, "deviceId must not contain '/', '+' or '#'"]
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: Date,
+  revokedAt: Date
+});
+
+apiKeySchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,4 @@
+const mongoose = require("mongoose");
+const createRollupSchema = require("./rollupSchema");
+
+module.exports = mongoose.model("DailyRollup", createRollupSchema());
\ No newline at end of file
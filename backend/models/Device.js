@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const deviceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  location: String,
+  label: String,
+  firstSeenAt: Date,
+  lastSeenAt: Date,
+  // Learned from the gaps between check-ins; see lib/heartbeat.js
+  expectedIntervalSeconds: Number,
+  status: { type: String, enum: ["online", "stale", "offline"] },
+  statusChangedAt: Date,
+  // Latest values the firmware reported in its tokens, as sent
+  metadata: {
+    rssi: Number,
+    battery: Number,
+    firmware: String,
+    interval: Number
+  },
+  metadataAt: Date
+});
+
+module.exports = mongoose.model("Device", deviceSchema);
\ No newline at end of file
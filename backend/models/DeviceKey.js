@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Signing keys for ingest tokens, looked up by the JWT `kid` header.
+// HMAC keys hold a shared `secret`; ES256/RS256 keys only a public key.
+const deviceKeySchema = new mongoose.Schema({
+  kid: { type: String, required: true, unique: true },
+  deviceId: { type: String, required: true, index: true },
+  // "device" keys may only sign for their own deviceId; "gateway" keys
+  // sign on behalf of the nodes behind them
+  scope: { type: String, enum: ["device", "gateway"], default: "device" },
+  alg: {
+    type: String,
+    enum: ["HS256", "HS384", "HS512", "ES256", "RS256"],
+    required: true
+  },
+  secret: { type: String, select: false },
+  publicKey: String,
+  notBefore: { type: Date, default: Date.now },
+  notAfter: Date,
+  revokedAt: Date,
+  rotatedTo: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+deviceKeySchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model("DeviceKey", deviceKeySchema);
\ No newline at end of file
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// Stored responses for requests sent with an Idempotency-Key header.
+// `statusCode` stays unset while the first request is still in flight.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  scope: { type: String, required: true },
+  statusCode: Number,
+  body: mongoose.Schema.Types.Mixed,
+  expiresAt: { type: Date, required: true }
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
\ No newline at end of file
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Token IDs (`jti`) already used for ingestion. Each is kept until the
+// token itself expires, after which the TTL index removes it.
+const nonceSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  deviceId: String,
+  expiresAt: { type: Date, required: true }
+});
+
+nonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Nonce", nonceSchema);
\ No newline at end of file
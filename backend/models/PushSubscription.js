@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+const { METRIC_NAMES } = require("../lib/metricRegistry");
+
+// A browser's Web Push endpoint and the metrics whose alerts it wants.
+// The endpoint URL is unique to the browser, so it identifies the entry.
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: { type: String, required: true, unique: true },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  metrics: { type: [{ type: String, enum: METRIC_NAMES }], default: [] },
+  // The user or API key that subscribed
+  principalId: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
+  lastSentAt: Date
+});
+
+pushSubscriptionSchema.index({ metrics: 1 });
+
+module.exports = mongoose.model("PushSubscription", pushSubscriptionSchema);
\ No newline at end of file
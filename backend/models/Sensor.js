@@ -1,10 +1,40 @@
 const mongoose = require("mongoose");
+const { METRIC_NAMES } = require("../lib/metricRegistry");
+
+// One number per registry metric the reading carries
+const valuesSchema = new mongoose.Schema(
+  Object.fromEntries(METRIC_NAMES.map(metric => [metric, Number])),
+  { _id: false }
+);
 
 const sensorSchema = new mongoose.Schema({
+  deviceId: String,
+  location: String,
+  label: String,
   timestamp: Number,
-  temperature: Number,
-  humidity: Number,
-  exp: Number
+  values: valuesSchema,
+  exp: Number,
+  // Server clock at ingest, kept alongside the device-reported timestamp
+  receivedAt: Date,
+  // Checks the reading failed (see lib/anomalies.js); absent when none did
+  anomalies: {
+    type: [
+      {
+        _id: false,
+        type: { type: String },
+        metric: String,
+        value: Number
+      }
+    ],
+    default: undefined
+  }
 });
 
+// Newest-first paging by (timestamp, _id), globally and per device
+sensorSchema.index({ timestamp: -1, _id: -1 });
+sensorSchema.index({ deviceId: 1, timestamp: -1, _id: -1 });
+
+// A node reports at most one reading per timestamp; replays collide here
+sensorSchema.index({ deviceId: 1, timestamp: 1 }, { unique: true });
+
 module.exports = mongoose.model("Sensor", sensorSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  passwordHash: { type: String, required: true, select: false },
+  role: {
+    type: String,
+    enum: ["viewer", "device", "admin"],
+    default: "viewer"
+  },
+  disabled: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  lastLoginAt: Date
+});
+
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model("User", userSchema);
\ No newline at end of file
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { METRIC_NAMES } = require("../lib/metricRegistry");
+
+// min/max/avg/count of one metric within a rollup bucket
+const statsSchema = new mongoose.Schema(
+  { min: Number, max: Number, avg: Number, count: Number },
+  { _id: false }
+);
+
+// Shared by the hourly and daily rollup collections. `bucket` is the
+// bucket start in epoch seconds, like a reading's `timestamp`.
+function createRollupSchema() {
+  const valuesSchema = new mongoose.Schema(
+    Object.fromEntries(METRIC_NAMES.map(metric => [metric, statsSchema])),
+    { _id: false }
+  );
+  const schema = new mongoose.Schema({
+    deviceId: { type: String, required: true },
+    bucket: { type: Number, required: true },
+    count: Number,
+    // Stats per registry metric seen in the bucket
+    values: valuesSchema,
+    updatedAt: { type: Date, default: Date.now }
+  });
+
+  schema.index({ deviceId: 1, bucket: 1 }, { unique: true });
+  schema.index({ bucket: -1, _id: -1 });
+
+  return schema;
+}
+
+module.exports = createRollupSchema;
\ No newline at end of file
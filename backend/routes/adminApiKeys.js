@@ -0,0 +1,65 @@
+// routes/adminApiKeys.js
+const express = require("express");
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const { generateApiKey, hashApiKey } = require("../lib/auth");
+
+const router = express.Router();
+
+router.get("/", async (req, res) => {
+  try {
+    const keys = await ApiKey.find().sort({ createdAt: -1 });
+    res.json(keys);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch API keys" });
+  }
+});
+
+// The plain key is only ever returned here
+router.post("/", async (req, res) => {
+  const { name, role, deviceId } = req.body || {};
+  if (typeof name !== "string" || !name.trim()) {
+    return res
+      .status(400)
+      .json({ error: "name is required", code: "invalid_request" });
+  }
+
+  try {
+    const key = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      role,
+      deviceId,
+      keyHash: hashApiKey(key)
+    });
+    res.status(201).json({ ...apiKey.toJSON(), key });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res
+        .status(400)
+        .json({ error: err.message, code: "invalid_request" });
+    }
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+router.post("/:id/revoke", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ error: "Active API key not found" });
+    }
+    res.json(apiKey);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+});
+
+module.exports = router;
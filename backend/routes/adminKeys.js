@@ -0,0 +1,159 @@
+// routes/adminKeys.js
+const express = require("express");
+const mongoose = require("mongoose");
+const DeviceKey = require("../models/DeviceKey");
+const { badRequest } = require("../lib/errors");
+const {
+  HMAC_ALGORITHMS,
+  checkKeyMaterial,
+  generateKid,
+  generateSecret,
+  forgetKey
+} = require("../lib/keyStore");
+
+const router = express.Router();
+
+const KEY_SCOPES = DeviceKey.schema.path("scope").enumValues;
+
+// Old and new keys both verify for this long after a rotation
+const ROTATION_OVERLAP_SECONDS =
+  Number(process.env.KEY_ROTATION_OVERLAP_SECONDS) || 7 * 24 * 3600;
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`Invalid '${name}' date`);
+  return date;
+}
+
+// Creates a key document. A generated HMAC secret is returned exactly once;
+// only its holder (the device) keeps a copy.
+async function createKey(fields) {
+  const { deviceId, scope, alg = "HS256", publicKey } = fields;
+  if (typeof deviceId !== "string" || !deviceId) {
+    throw badRequest("deviceId is required");
+  }
+  if (scope !== undefined && !KEY_SCOPES.includes(scope)) {
+    throw badRequest(
+      `'scope' must be one of: ${KEY_SCOPES.join(", ")}`,
+      "invalid_request"
+    );
+  }
+
+  const problem = checkKeyMaterial(alg, fields);
+  if (problem) throw badRequest(problem);
+
+  const isHmac = HMAC_ALGORITHMS.includes(alg);
+  const secret = isHmac ? fields.secret || generateSecret() : undefined;
+
+  const key = await DeviceKey.create({
+    kid: generateKid(),
+    deviceId,
+    scope,
+    alg,
+    secret,
+    publicKey: isHmac ? undefined : publicKey,
+    notBefore: parseDate(fields.notBefore, "notBefore"),
+    notAfter: parseDate(fields.notAfter, "notAfter")
+  });
+
+  const body = key.toJSON();
+  if (isHmac && !fields.secret) body.secret = secret;
+  return body;
+}
+
+function sendError(res, err, fallback) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return res
+      .status(400)
+      .json({ error: err.message, code: "invalid_request" });
+  }
+  console.error(`${fallback}:`, err.message);
+  res.status(500).json({ error: fallback });
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const filter = req.query.deviceId
+      ? { deviceId: String(req.query.deviceId) }
+      : {};
+    const keys = await DeviceKey.find(filter).sort({ createdAt: -1 });
+    res.json(keys);
+  } catch (err) {
+    sendError(res, err, "Failed to fetch keys");
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const key = await createKey(req.body || {});
+    res.status(201).json(key);
+  } catch (err) {
+    sendError(res, err, "Failed to create key");
+  }
+});
+
+router.post("/:kid/revoke", async (req, res) => {
+  try {
+    const key = await DeviceKey.findOneAndUpdate(
+      { kid: req.params.kid, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!key) {
+      return res.status(404).json({ error: "Active key not found" });
+    }
+    forgetKey(key.kid);
+    res.json(key);
+  } catch (err) {
+    sendError(res, err, "Failed to revoke key");
+  }
+});
+
+// Issues a replacement key for the same device and lets the old one keep
+// verifying until the overlap window closes, so nodes can be updated
+// one at a time.
+router.post("/:kid/rotate", async (req, res) => {
+  try {
+    const current = await DeviceKey.findOne({ kid: req.params.kid });
+    if (!current || current.revokedAt || current.rotatedTo) {
+      return res.status(404).json({ error: "Rotatable key not found" });
+    }
+
+    const body = req.body || {};
+    const overlapSeconds =
+      body.overlapSeconds !== undefined
+        ? Number(body.overlapSeconds)
+        : ROTATION_OVERLAP_SECONDS;
+    if (!Number.isFinite(overlapSeconds) || overlapSeconds < 0) {
+      return res.status(400).json({
+        error: "Invalid 'overlapSeconds'",
+        code: "invalid_request"
+      });
+    }
+
+    const replacement = await createKey({
+      ...body,
+      deviceId: current.deviceId,
+      scope: current.scope,
+      alg: body.alg || current.alg
+    });
+
+    const overlapEnd = new Date(Date.now() + overlapSeconds * 1000);
+    current.rotatedTo = replacement.kid;
+    if (!current.notAfter || current.notAfter > overlapEnd) {
+      current.notAfter = overlapEnd;
+    }
+    await current.save();
+    forgetKey(current.kid);
+
+    res.status(201).json({ previous: current, key: replacement });
+  } catch (err) {
+    sendError(res, err, "Failed to rotate key");
+  }
+});
+
+module.exports = router;
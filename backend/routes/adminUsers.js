@@ -0,0 +1,91 @@
+// routes/adminUsers.js
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { hashPassword } = require("../lib/auth");
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 10;
+
+function sendError(res, err, fallback) {
+  if (err instanceof mongoose.Error.ValidationError) {
+    return res
+      .status(400)
+      .json({ error: err.message, code: "invalid_request" });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: "Username already exists" });
+  }
+  console.error(`${fallback}:`, err.message);
+  res.status(500).json({ error: fallback });
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json(users);
+  } catch (err) {
+    sendError(res, err, "Failed to fetch users");
+  }
+});
+
+router.post("/", async (req, res) => {
+  const { username, password, role } = req.body || {};
+  if (typeof username !== "string" || !username.trim()) {
+    return res
+      .status(400)
+      .json({ error: "username is required", code: "invalid_request" });
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      error: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      code: "invalid_request"
+    });
+  }
+
+  try {
+    const user = await User.create({
+      username,
+      passwordHash: await hashPassword(password),
+      role
+    });
+    res.status(201).json(user);
+  } catch (err) {
+    sendError(res, err, "Failed to create user");
+  }
+});
+
+// Change role, password or disabled flag
+router.patch("/:id", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const { password, role, disabled } = req.body || {};
+  const update = {};
+  if (role !== undefined) update.role = role;
+  if (disabled !== undefined) update.disabled = Boolean(disabled);
+  if (password !== undefined) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        code: "invalid_request"
+      });
+    }
+    update.passwordHash = await hashPassword(password);
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json(user);
+  } catch (err) {
+    sendError(res, err, "Failed to update user");
+  }
+});
+
+module.exports = router;
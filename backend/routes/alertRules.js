@@ -0,0 +1,94 @@
+// routes/alertRules.js
+const express = require("express");
+const mongoose = require("mongoose");
+const AlertRule = require("../models/AlertRule");
+const { resetRule } = require("../lib/alerts");
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  "name",
+  "metric",
+  "operator",
+  "threshold",
+  "durationSeconds",
+  "hysteresis",
+  "deviceId",
+  "enabled"
+];
+
+function pickEditable(body = {}) {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+function sendError(res, err, fallback) {
+  if (err instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ error: err.message, code: "invalid_rule" });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(404).json({ error: "Rule not found" });
+  }
+  console.error(`${fallback}:`, err.message);
+  res.status(500).json({ error: fallback });
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const rules = await AlertRule.find().sort({ createdAt: -1 });
+    res.json(rules);
+  } catch (err) {
+    sendError(res, err, "Failed to fetch alert rules");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+    res.json(rule);
+  } catch (err) {
+    sendError(res, err, "Failed to fetch alert rule");
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const rule = await AlertRule.create(pickEditable(req.body));
+    res.status(201).json(rule);
+  } catch (err) {
+    sendError(res, err, "Failed to create alert rule");
+  }
+});
+
+router.patch("/:id", async (req, res) => {
+  try {
+    const rule = await AlertRule.findByIdAndUpdate(
+      req.params.id,
+      pickEditable(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+    resetRule(rule._id);
+    res.json(rule);
+  } catch (err) {
+    sendError(res, err, "Failed to update alert rule");
+  }
+});
+
+// Open alerts raised by the rule are left in place for the record
+router.delete("/:id", async (req, res) => {
+  try {
+    const rule = await AlertRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+    resetRule(rule._id);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, "Failed to delete alert rule");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// routes/alerts.js
+const express = require("express");
+const mongoose = require("mongoose");
+const Alert = require("../models/Alert");
+const { alertEvents } = require("../lib/alerts");
+const { requireRole } = require("../lib/auth");
+
+const router = express.Router();
+
+const STATES = ["open", "acknowledged", "resolved"];
+
+// ?state=open|acknowledged|resolved&deviceId=, newest first
+router.get("/", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.state) {
+      if (!STATES.includes(req.query.state)) {
+        return res.status(400).json({
+          error: `Invalid 'state': expected one of ${STATES.join(", ")}`,
+          code: "invalid_request"
+        });
+      }
+      filter.state = req.query.state;
+    }
+    if (req.query.deviceId) filter.deviceId = String(req.query.deviceId);
+
+    const alerts = await Alert.find(filter).sort({ openedAt: -1 }).limit(200);
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch alerts" });
+  }
+});
+
+async function transition(req, res, from, update, event) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Alert not found" });
+  }
+  try {
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, state: { $in: from } },
+      update,
+      { new: true }
+    );
+    if (!alert) {
+      return res
+        .status(409)
+        .json({ error: `Alert not found or not in state ${from.join("/")}` });
+    }
+    if (event) alertEvents.emit(event, alert);
+    res.json(alert);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update alert" });
+  }
+}
+
+router.post("/:id/acknowledge", requireRole("admin"), (req, res) =>
+  transition(req, res, ["open"], {
+    state: "acknowledged",
+    acknowledgedAt: new Date()
+  })
+);
+
+// Manual resolution for alerts whose readings will never clear them,
+// such as a device that was decommissioned while breaching
+router.post("/:id/resolve", requireRole("admin"), (req, res) =>
+  transition(
+    req,
+    res,
+    ["open", "acknowledged"],
+    { state: "resolved", active: false, resolvedAt: new Date() },
+    "resolved"
+  )
+);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// routes/auth.js
+const express = require("express");
+const {
+  TOKEN_TTL,
+  authenticateUser,
+  issueAccessToken,
+  requireRole,
+  ROLES
+} = require("../lib/auth");
+
+const router = express.Router();
+
+router.post("/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res.status(400).json({
+      error: "username and password required",
+      code: "invalid_request"
+    });
+  }
+
+  try {
+    const user = await authenticateUser(username, password);
+    if (!user) {
+      return res
+        .status(401)
+        .json({ error: "Invalid credentials", code: "invalid_credentials" });
+    }
+    res.json({
+      token: issueAccessToken(user),
+      expiresIn: TOKEN_TTL,
+      role: user.role
+    });
+  } catch (err) {
+    console.error("Login error:", err.message);
+    res.status(500).json({ error: "Login failed" });
+  }
+});
+
+router.get("/me", requireRole(...ROLES), (req, res) => {
+  res.json(req.principal);
+});
+
+module.exports = router;
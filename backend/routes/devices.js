@@ -0,0 +1,46 @@
+// routes/devices.js
+const express = require("express");
+const Device = require("../models/Device");
+const { parseFields, withDerived } = require("../lib/derived");
+const { parseAnomalyFilter } = require("../lib/anomalies");
+
+const router = express.Router();
+
+router.get("/", async (req, res) => {
+  try {
+    const devices = await Device.find().sort({ deviceId: 1 });
+    res.json(devices);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch devices" });
+  }
+});
+
+router.get("/:id/readings", async (req, res) => {
+  try {
+    const fields = parseFields(req.query);
+    const anomalyFilter = parseAnomalyFilter(req.query);
+    const device = await Device.findOne({ deviceId: req.params.id });
+    if (!device) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+
+    const { storage } = req.app.locals;
+    const page = await storage.findReadings(req.query, {
+      deviceId: device.deviceId,
+      ...anomalyFilter
+    });
+    res.json({
+      ...page,
+      data: page.data.map(reading => withDerived(reading, fields))
+    });
+  } catch (err) {
+    if (err.status) {
+      return res
+        .status(err.status)
+        .json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: "Failed to fetch device readings" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// routes/push.js
+const express = require("express");
+const PushSubscription = require("../models/PushSubscription");
+const { METRIC_NAMES } = require("../lib/metricRegistry");
+const { VAPID_PUBLIC_KEY, isPushEnabled } = require("../lib/push");
+
+const router = express.Router();
+
+// The server delivers to these URLs, so only https ones are taken
+function isPushEndpoint(value) {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+// A PushSubscription.toJSON() from the browser plus the metrics to alert on;
+// returns an error message or null
+function checkSubscribe(body = {}) {
+  const { subscription, metrics } = body;
+  if (!subscription || !isPushEndpoint(subscription.endpoint)) {
+    return "'subscription.endpoint' must be an https URL";
+  }
+  const keys = subscription.keys || {};
+  if (typeof keys.p256dh !== "string" || typeof keys.auth !== "string") {
+    return "'subscription.keys' needs 'p256dh' and 'auth'";
+  }
+  if (!Array.isArray(metrics)) return "'metrics' must be an array";
+  const unknown = metrics.filter(metric => !METRIC_NAMES.includes(metric));
+  if (unknown.length > 0) return `Unknown metrics: ${unknown.join(", ")}`;
+  return null;
+}
+
+function requirePush(req, res, next) {
+  if (!isPushEnabled()) {
+    return res.status(503).json({
+      error: "Push notifications are not configured",
+      code: "push_unavailable"
+    });
+  }
+  next();
+}
+
+router.use(requirePush);
+
+// The application server key browsers subscribe with
+router.get("/vapid-public-key", (req, res) => {
+  res.json({ publicKey: VAPID_PUBLIC_KEY });
+});
+
+// Creates or updates this browser's subscription. An empty `metrics` list
+// keeps the subscription but sends nothing.
+router.post("/subscribe", async (req, res) => {
+  const problem = checkSubscribe(req.body);
+  if (problem) {
+    return res
+      .status(400)
+      .json({ error: problem, code: "invalid_subscription" });
+  }
+  const { subscription, metrics } = req.body;
+  try {
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        $set: {
+          keys: {
+            p256dh: subscription.keys.p256dh,
+            auth: subscription.keys.auth
+          },
+          metrics: [...new Set(metrics)],
+          principalId: req.principal.id,
+          updatedAt: new Date()
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+    res.json({ endpoint: saved.endpoint, metrics: saved.metrics });
+  } catch (err) {
+    console.error("Push subscribe failed:", err.message);
+    res.status(500).json({ error: "Failed to save push subscription" });
+  }
+});
+
+router.post("/unsubscribe", async (req, res) => {
+  const endpoint = req.body && req.body.endpoint;
+  if (typeof endpoint !== "string") {
+    return res.status(400).json({
+      error: "'endpoint' must be a string",
+      code: "invalid_subscription"
+    });
+  }
+  try {
+    await PushSubscription.deleteOne({ endpoint });
+    res.status(204).end();
+  } catch (err) {
+    console.error("Push unsubscribe failed:", err.message);
+    res.status(500).json({ error: "Failed to delete push subscription" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// routes/status.js
+const express = require("express");
+const { fleetStatus } = require("../lib/heartbeat");
+
+const router = express.Router();
+
+// Every known device with its online/stale/offline state and firmware
+// metadata, plus counts per state
+router.get("/", async (req, res) => {
+  try {
+    res.json(await fleetStatus());
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch fleet status" });
+  }
+});
+
+module.exports = router;
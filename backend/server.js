@@ -1,128 +1,67 @@
 // server.js
-const express = require("express");
+// Entry point: checks the environment, connects MongoDB and listens.
+// The app itself is built by createApp in app.js.
 const mongoose = require("mongoose");
-const jwt = require("jsonwebtoken");
-const Sensor = require("./models/Sensor");
+const { createApp } = require("./app");
+const { createStorage } = require("./lib/storage");
+const { migrateLegacyMetrics } = require("./lib/storage/mongo");
+const { ensureBootstrapAdmin } = require("./lib/auth");
+const { startRetentionJob } = require("./lib/rollupJob");
+const { startHeartbeatMonitor } = require("./lib/heartbeat");
+const { mongoReconnectAttempts } = require("./lib/metrics");
+const { startMqttIngest } = require("./lib/mqtt");
 
 // --- Environment validation ---
+// JWT_SECRET is optional: it only verifies legacy tokens without a `kid`
 if (!process.env.JWT_SECRET) {
-  throw new Error("JWT_SECRET is missing — check Render environment settings");
+  console.warn("JWT_SECRET not set — only per-device keys will be accepted");
 }
-if (!process.env.MONGO_URI) {
+// MONGO_URI is optional with STORAGE=memory or sqlite; users, keys and
+// alerts are then unavailable
+const storageKind = process.env.STORAGE || "mongo";
+if (storageKind === "mongo" && !process.env.MONGO_URI) {
   throw new Error("MONGO_URI is missing — check Render environment settings");
 }
+if (!process.env.AUTH_SECRET) {
+  throw new Error("AUTH_SECRET is missing — check Render environment settings");
+}
 
 const port = process.env.PORT || 4000;
-const app = express();
-
-// --- Allowed frontend origins ---
-const ALLOWED_ORIGINS = [
-  "https://iot-project-frontend-liard.vercel.app",
-  "https://react.flowofthings.net"
-];
-
-// --- CORS middleware ---
-app.use((req, res, next) => {
-  const origin = req.headers.origin;
-
-  if (!origin) {
-    res.setHeader("Access-Control-Allow-Origin", "*");
-  } else if (ALLOWED_ORIGINS.includes(origin)) {
-    res.setHeader("Access-Control-Allow-Origin", origin);
-    res.setHeader("Access-Control-Allow-Credentials", "true");
-  }
-
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-
-  if (req.method === "OPTIONS") {
-    return res.sendStatus(204);
-  }
-
-  next();
-});
-
-// --- Body parser ---
-app.use(express.json());
-
-// --- Lightweight request logging ---
-app.use((req, res, next) => {
-  console.log(
-    `${new Date().toISOString()} ${req.method} ${req.originalUrl} from ${
-      req.headers.origin || "no-origin"
-    }`
-  );
-  next();
-});
+const storage = createStorage(storageKind);
+const app = createApp({ storage });
 
 // --- MongoDB connection (modern, no deprecated options) ---
 async function connectToMongo() {
   try {
     await mongoose.connect(process.env.MONGO_URI);
     console.log("✅ Connected to MongoDB");
+    await ensureBootstrapAdmin();
+    // Rollups are built from readings stored in MongoDB
+    if (storage.kind === "mongo") {
+      await migrateLegacyMetrics();
+      startRetentionJob();
+    }
+    // Device states come from the registry, which is always in MongoDB
+    startHeartbeatMonitor();
   } catch (err) {
     console.error("❌ MongoDB connection error:", err.message);
     console.log("⏳ Retrying in 5 seconds...");
+    mongoReconnectAttempts.inc();
     setTimeout(connectToMongo, 5000);
   }
 }
-connectToMongo();
+if (process.env.MONGO_URI) {
+  connectToMongo();
+} else {
+  console.log(`💾 MongoDB not configured; readings kept in ${storage.kind}`);
+}
 
-// --- Health check ---
-app.get("/health", (req, res) =>
-  res.json({ status: "ok", uptime: process.uptime() })
+// --- MQTT ingestion (MQTT_MODE=embedded|client) ---
+startMqttIngest(app.locals.ingestToken).catch(err =>
+  console.error("❌ MQTT startup failed:", err.message)
 );
 
-// --- Routes ---
-app.get("/api/sensor/latest", async (req, res) => {
-  try {
-    const latest = await Sensor.findOne().sort({ timestamp: -1 });
-    if (!latest) {
-      return res.status(404).json({ message: "No sensor data found" });
-    }
-    res.json(latest);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-app.post("/api/sensor", async (req, res) => {
-  try {
-    const token = req.body.token;
-    if (!token) return res.status(400).json({ error: "Missing token" });
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    const sensor = new Sensor({
-      timestamp: decoded.timestamp,
-      temperature: decoded.temperature,
-      humidity: decoded.humidity
-    });
-
-    await sensor.save();
-    res.json({ success: true, data: sensor });
-  } catch (err) {
-    console.error("POST /api/sensor error:", err.message);
-    res.status(401).json({ error: "Invalid token or save failed" });
-  }
-});
-
-app.get("/api/sensor", async (req, res) => {
-  try {
-    const sensors = await Sensor.find()
-      .sort({ timestamp: -1 })
-      .limit(50);
-    res.json(sensors);
-  } catch (err) {
-    res.status(500).json({ error: "Failed to fetch sensor data" });
-  }
-});
-
-// --- Generic error handler ---
-app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({ error: "Internal server error" });
-});
-
 // --- Start server ---
-app.listen(port, () => console.log(`🚀 Server running on port ${port}`));
\ No newline at end of file
+app.listen(port, () =>
+  console.log(`🚀 Server running on port ${port} (${storage.kind} storage)`)
+);
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const DeviceKey = require("../models/DeviceKey");
+const adminKeysRouter = require("../routes/adminKeys");
+
+describe("admin key routes", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/keys", adminKeysRouter);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const create = body =>
+    fetch(`${baseUrl}/keys`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+
+  // Runs the schema's own validation in place of the insert
+  const validateOnCreate = t =>
+    t.mock.method(DeviceKey, "create", async doc => {
+      const key = new DeviceKey(doc);
+      await key.validate();
+      return key;
+    });
+
+  it("creates a key and returns its secret once", async t => {
+    validateOnCreate(t);
+    const res = await create({ deviceId: "node-1", scope: "gateway" });
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    assert.equal(body.scope, "gateway");
+    assert.equal(typeof body.secret, "string");
+  });
+
+  it("rejects an unknown scope with 400", async t => {
+    const created = validateOnCreate(t);
+    const res = await create({ deviceId: "node-1", scope: "everything" });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "invalid_request");
+    assert.equal(created.mock.callCount(), 0);
+  });
+
+  it("answers schema validation errors with 400", async t => {
+    t.mock.method(DeviceKey, "create", async doc =>
+      new DeviceKey({ ...doc, alg: "none" }).validate()
+    );
+    const res = await create({ deviceId: "node-1" });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "invalid_request");
+  });
+});
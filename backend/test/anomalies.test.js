@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, signReading, ADMIN } = require("./helpers");
+const { createStorage } = require("../lib/storage");
+const { detectAnomalies, createAnomalyDetector } = require("../lib/anomalies");
+
+const T0 = 1700000000;
+
+// One reading a minute, oldest first
+const series = temperatures =>
+  temperatures.map((temperature, i) => ({
+    timestamp: T0 + i * 60,
+    values: { temperature }
+  }));
+const next = (earlier, temperature) => ({
+  timestamp: T0 + earlier.length * 60,
+  values: { temperature }
+});
+const types = flags => flags.map(flag => flag.type).sort();
+
+describe("detectAnomalies", () => {
+  it("flags a value far outside the recent spread", () => {
+    const earlier = series([20, 21, 20, 21, 20, 21, 20, 21, 20, 21, 20, 21]);
+    const flags = detectAnomalies(next(earlier, 30), earlier);
+    assert.deepEqual(types(flags), ["rate", "zscore"]);
+  });
+
+  it("flags a change faster than the air can change", () => {
+    const earlier = series([20]);
+    const flags = detectAnomalies(next(earlier, 30), earlier);
+    assert.deepEqual(flags, [
+      { type: "rate", metric: "temperature", value: 10 }
+    ]);
+  });
+
+  it("measures the rate from the last clean reading", () => {
+    const earlier = series([20, 35]);
+    earlier[1].flagged = true; // the spike
+    assert.deepEqual(detectAnomalies(next(earlier, 20.5), earlier), []);
+  });
+
+  it("flags a value frozen over many samples", () => {
+    const earlier = series(Array(19).fill(22.5));
+    const flags = detectAnomalies(next(earlier, 22.5), earlier);
+    assert.deepEqual(flags, [
+      { type: "flatline", metric: "temperature", value: 20 }
+    ]);
+  });
+
+  it("leaves ordinary readings alone", () => {
+    const earlier = series([20, 20.2, 20.1, 20.3, 20.2, 20.4, 20.3, 20.5]);
+    assert.deepEqual(detectAnomalies(next(earlier, 20.4), earlier), []);
+  });
+});
+
+describe("createAnomalyDetector", () => {
+  it("keeps a window per device and skips duplicates", async () => {
+    const detector = createAnomalyDetector(createStorage("memory"));
+    const reading = (deviceId, minute, temperature) => ({
+      deviceId,
+      timestamp: T0 + minute * 60,
+      values: { temperature }
+    });
+
+    await detector.annotate(reading("a", 0, 20));
+    await detector.annotate(reading("b", 0, 35));
+    const jump = await detector.annotate(reading("a", 1, 35));
+    assert.deepEqual(types(jump.anomalies), ["rate"]);
+
+    const again = reading("a", 1, 35);
+    assert.equal(await detector.annotate(again), again);
+    const steady = await detector.annotate(reading("b", 1, 35));
+    assert.equal(steady.anomalies, undefined);
+  });
+});
+
+describe("GET /api/sensor?anomalies=only", () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+  });
+  after(() => api.close());
+
+  it("returns only flagged readings", async () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 600;
+    for (const [offset, temperature] of [
+      [0, 20],
+      [60, 40]
+    ]) {
+      await api.request("/api/sensor", {
+        method: "POST",
+        body: {
+          token: signReading({
+            deviceId: "anomaly-1",
+            timestamp: timestamp + offset,
+            values: { temperature }
+          })
+        }
+      });
+    }
+
+    const res = await api.request(
+      "/api/sensor?deviceId=anomaly-1&anomalies=only",
+      { headers: ADMIN }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.length, 1);
+    assert.equal(res.body.data[0].values.temperature, 40);
+    assert.equal(res.body.data[0].anomalies[0].type, "rate");
+  });
+
+  it("rejects other values", async () => {
+    const res = await api.request("/api/sensor?anomalies=yes", {
+      headers: ADMIN
+    });
+    assert.equal(res.status, 400);
+  });
+});
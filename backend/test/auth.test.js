@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const User = require("../models/User");
+const { issueAccessToken } = require("../lib/auth");
+
+describe("user session tokens", () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+    process.env.MONGO_URI = "mongodb://auth.test";
+  });
+  after(() => {
+    delete process.env.MONGO_URI;
+    return api.close();
+  });
+
+  const USER_ID = "64b7f0c2a1b2c3d4e5f60718";
+  // Signed while the user was an admin
+  const token = issueAccessToken({
+    _id: USER_ID,
+    role: "admin",
+    username: "ops"
+  });
+  const asUser = path =>
+    api.request(path, { headers: { Authorization: `Bearer ${token}` } });
+  const userIs = (t, record) =>
+    t.mock.method(User, "findById", async id =>
+      id === USER_ID ? record : null
+    );
+
+  it("keeps the role the user still has", async t => {
+    userIs(t, { role: "admin", disabled: false });
+    const res = await asUser("/api/admin/users");
+    assert.notEqual(res.status, 401);
+    assert.notEqual(res.status, 403);
+  });
+
+  it("applies a role change to tokens already issued", async t => {
+    userIs(t, { role: "viewer", disabled: false });
+    assert.equal((await asUser("/api/admin/users")).status, 403);
+    assert.equal((await asUser("/api/sensor")).status, 200);
+  });
+
+  it("refuses tokens of a disabled user", async t => {
+    userIs(t, { role: "admin", disabled: true });
+    const res = await asUser("/api/sensor");
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "unauthenticated");
+  });
+
+  it("refuses tokens of a deleted user", async t => {
+    userIs(t, null);
+    assert.equal((await asUser("/api/sensor")).status, 401);
+  });
+});
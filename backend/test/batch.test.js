@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const Nonce = require("../models/Nonce");
+const { startApp, signReading } = require("./helpers");
+
+describe("POST /api/sensor/batch", () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+  });
+  after(() => api.close());
+
+  const batch = body =>
+    api.request("/api/sensor/batch", { method: "POST", body });
+
+  it("reports a result per token", async () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 600;
+    const res = await batch({
+      tokens: [
+        signReading({ deviceId: "batch-1", timestamp }),
+        signReading({ deviceId: "batch-1", timestamp }),
+        signReading({ deviceId: "batch-1", values: { co2: -5 } }),
+        "not-a-jwt",
+        42
+      ]
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.results.map(r => r.status),
+      ["accepted", "duplicate", "invalid", "invalid", "invalid"]
+    );
+    assert.equal(res.body.results[2].code, "out_of_range");
+    assert.equal(res.body.results[3].code, "invalid_token");
+    assert.equal(res.body.results[4].code, "invalid_type");
+    assert.equal(res.body.accepted, 1);
+    assert.equal(res.body.duplicate, 1);
+    assert.equal(res.body.invalid, 3);
+  });
+
+  it("reports readings already stored by an earlier request as duplicates", async () => {
+    const token = signReading({ deviceId: "batch-2" });
+    const first = await batch({ tokens: [token] });
+    assert.equal(first.body.results[0].status, "accepted");
+
+    const again = await batch({ tokens: [token] });
+    assert.equal(again.body.results[0].status, "duplicate");
+  });
+
+  it("expands a gateway token's readings array", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt.sign(
+      {
+        sub: "gateway-1",
+        readings: [
+          { deviceId: "gw-node-1", timestamp: now - 30, temperature: 20 },
+          { deviceId: "gw-node-2", timestamp: now - 30, values: { co2: 800 } },
+          "oops"
+        ]
+      },
+      process.env.JWT_SECRET
+    );
+    const res = await batch({ token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.results.map(r => r.status),
+      ["accepted", "accepted", "invalid"]
+    );
+  });
+
+  it("charges a gateway's buffered readings once", async () => {
+    // The default device bucket holds 10 requests
+    const now = Math.floor(Date.now() / 1000);
+    const readings = Array.from({ length: 50 }, (_, i) => ({
+      deviceId: "gw-buffer-node",
+      timestamp: now - 3000 + i * 60,
+      temperature: 20
+    }));
+    const token = jwt.sign(
+      { sub: "gateway-buffer", readings },
+      process.env.JWT_SECRET
+    );
+    const res = await batch({ token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accepted, 50);
+    assert.equal(res.body.rate_limited, 0);
+  });
+
+  it("refuses a gateway over its rate limit before using its token", async t => {
+    const gatewayToken = () =>
+      jwt.sign(
+        {
+          sub: "gateway-busy",
+          jti: `jti-${Math.random()}`,
+          readings: [{ deviceId: "gw-busy-node", temperature: 20 }]
+        },
+        process.env.JWT_SECRET
+      );
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await batch({ token: gatewayToken() })).status, 200);
+    }
+
+    process.env.MONGO_URI = "mongodb://unused";
+    t.after(() => delete process.env.MONGO_URI);
+    const claimed = t.mock.method(Nonce, "create", async () => {});
+    const res = await batch({ token: gatewayToken() });
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, "rate_limited");
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+    assert.equal(claimed.mock.callCount(), 0);
+  });
+
+  it("holds back the tokens of a device over its rate limit", async () => {
+    const busy = () => signReading({ deviceId: "batch-busy" });
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await batch({ tokens: [busy(), busy()] })).status, 200);
+    }
+
+    const res = await batch({
+      tokens: [busy(), busy(), signReading({ deviceId: "batch-quiet" })]
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accepted, 1);
+    assert.equal(res.body.rate_limited, 2);
+    assert.deepEqual(
+      res.body.results.map(r => r.status),
+      ["rate_limited", "rate_limited", "accepted"]
+    );
+    assert.equal(res.body.results[0].code, "rate_limited");
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+  });
+
+  it("rejects a body with neither tokens nor a token", async () => {
+    const res = await batch({});
+    assert.equal(res.status, 400);
+  });
+});
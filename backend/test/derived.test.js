@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, signReading, ADMIN } = require("./helpers");
+const {
+  dewPoint,
+  heatIndex,
+  absoluteHumidity,
+  vaporPressureDeficit,
+  parseFields,
+  withDerived
+} = require("../lib/derived");
+
+const near = (actual, expected, tolerance = 0.05) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`
+  );
+
+describe("derived metric formulas", () => {
+  it("match published reference values", () => {
+    near(dewPoint(20, 50), 9.26);
+    // NWS heat index table: 90 °F at 70 % reads 106 °F
+    near(heatIndex((90 - 32) / 1.8, 70), (106 - 32) / 1.8, 0.1);
+    near(absoluteHumidity(20, 50), 8.62);
+    near(vaporPressureDeficit(25, 60), 1.26);
+  });
+
+  it("has no dew point for bone-dry air", () => {
+    assert.equal(dewPoint(20, 0), null);
+  });
+});
+
+describe("withDerived", () => {
+  it("adds the requested fields, rounded to two decimals", () => {
+    const reading = { values: { temperature: 20, humidity: 50 } };
+    assert.deepEqual(withDerived(reading, ["dewPoint"]), {
+      ...reading,
+      dewPoint: 9.26
+    });
+  });
+
+  it("derives aggregate buckets from their averages", () => {
+    const bucket = {
+      values: {
+        temperature: { avg: 20, min: 18, max: 22 },
+        humidity: { avg: 50 }
+      }
+    };
+    assert.equal(withDerived(bucket, ["dewPoint"]).dewPoint, 9.26);
+  });
+
+  it("answers null when a reading lacks humidity", () => {
+    const reading = { values: { temperature: 20 } };
+    assert.equal(withDerived(reading, ["heatIndex"]).heatIndex, null);
+  });
+
+  it("rejects unknown fields", () => {
+    assert.throws(() => parseFields({ fields: "dewPoint,wind" }), {
+      status: 400
+    });
+  });
+});
+
+describe("GET /api/sensor?fields=", () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+  });
+  after(() => api.close());
+
+  it("returns derived values alongside the stored ones", async () => {
+    await api.request("/api/sensor", {
+      method: "POST",
+      body: {
+        token: signReading({
+          deviceId: "derived-1",
+          values: { temperature: 20, humidity: 50 }
+        })
+      }
+    });
+    const res = await api.request(
+      "/api/sensor?deviceId=derived-1&fields=dewPoint,vpd",
+      { headers: ADMIN }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].dewPoint, 9.26);
+    assert.equal(typeof res.body.data[0].vpd, "number");
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { startApp, signReading, ADMIN } = require("./helpers");
+const { streamExport } = require("../lib/export");
+
+describe("GET /api/sensor/export", () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+  });
+  after(() => api.close());
+
+  it("streams a device's readings as NDJSON, oldest first", async () => {
+    for (const timestamp of [1700000100, 1700000000]) {
+      await api.request("/api/sensor", {
+        method: "POST",
+        body: { token: signReading({ deviceId: "export-1", timestamp }) }
+      });
+    }
+    const res = await api.request(
+      "/api/sensor/export?format=ndjson&deviceId=export-1",
+      { headers: ADMIN }
+    );
+    assert.equal(res.status, 200);
+    const rows = res.body
+      .trim()
+      .split("\n")
+      .map(line => JSON.parse(line));
+    assert.deepEqual(
+      rows.map(row => row.timestamp),
+      [1700000000, 1700000100]
+    );
+  });
+});
+
+describe("streamExport", () => {
+  // A socket that never drains, standing in for a stalled client
+  function stalledResponse() {
+    const res = new EventEmitter();
+    res.destroyed = false;
+    res.setHeader = () => {};
+    res.write = () => false;
+    res.end = () => assert.fail("ended a response that was gone");
+    return res;
+  }
+
+  it("stops and closes the cursor when the client disconnects", async () => {
+    let closed = false;
+    const storage = {
+      streamReadings: () => ({
+        async *[Symbol.asyncIterator]() {
+          while (!closed) yield { deviceId: "node-1", timestamp: 1 };
+        },
+        async close() {
+          closed = true;
+        }
+      })
+    };
+    const res = stalledResponse();
+    setImmediate(() => {
+      res.destroyed = true;
+      res.emit("close");
+    });
+
+    await streamExport(storage, {}, {}, res);
+    assert.equal(closed, true);
+    assert.equal(res.listenerCount("drain"), 0);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Device = require("../models/Device");
+const {
+  deviceEvents,
+  deviceMetadata,
+  nextInterval,
+  classify,
+  checkDevices
+} = require("../lib/heartbeat");
+
+const NOW = Date.parse("2026-01-01T12:00:00Z");
+const seenAgo = (seconds, extra = {}) => ({
+  lastSeenAt: new Date(NOW - seconds * 1000),
+  expectedIntervalSeconds: 60,
+  ...extra
+});
+
+describe("deviceMetadata", () => {
+  it("keeps known fields of the right type", () => {
+    assert.deepEqual(
+      deviceMetadata({
+        rssi: -67,
+        battery: "full",
+        firmware: "1.4.2",
+        interval: 0,
+        temperature: 21
+      }),
+      { rssi: -67, firmware: "1.4.2" }
+    );
+  });
+});
+
+describe("nextInterval", () => {
+  it("takes the first gap as the cadence", () => {
+    assert.equal(nextInterval(undefined, 60), 60);
+  });
+
+  it("smooths later gaps", () => {
+    assert.equal(nextInterval(60, 120), 72);
+  });
+
+  it("ignores bursts and outages", () => {
+    assert.equal(nextInterval(60, 0.2), 60);
+    assert.equal(nextInterval(60, 3600), 60);
+  });
+});
+
+describe("classify", () => {
+  it("goes from online to stale to offline as intervals are missed", () => {
+    assert.equal(classify(seenAgo(120), NOW), "online");
+    assert.equal(classify(seenAgo(300), NOW), "stale");
+    assert.equal(classify(seenAgo(900), NOW), "offline");
+    assert.equal(classify({}, NOW), "offline");
+  });
+
+  it("prefers the cadence the firmware declares", () => {
+    const device = seenAgo(300, { metadata: { interval: 600 } });
+    assert.equal(classify(device, NOW), "online");
+  });
+});
+
+describe("checkDevices", () => {
+  it("moves silent devices on and announces the change", async t => {
+    const devices = [
+      { _id: 1, deviceId: "quiet", status: "online", ...seenAgo(300) },
+      { _id: 2, deviceId: "busy", status: "online", ...seenAgo(30) }
+    ];
+    t.mock.method(Device, "find", () => ({
+      select: () => ({ lean: async () => devices })
+    }));
+    const updates = t.mock.method(Device, "updateOne", async () => ({
+      modifiedCount: 1
+    }));
+    const events = [];
+    const onStatus = event => events.push(event);
+    deviceEvents.on("status", onStatus);
+    t.after(() => deviceEvents.off("status", onStatus));
+
+    await checkDevices(new Date(NOW));
+
+    assert.equal(updates.mock.callCount(), 1);
+    assert.deepEqual(updates.mock.calls[0].arguments[0], {
+      _id: 1,
+      status: "online"
+    });
+    assert.deepEqual(
+      events.map(({ deviceId, status, previous }) => ({
+        deviceId,
+        status,
+        previous
+      })),
+      [{ deviceId: "quiet", status: "stale", previous: "online" }]
+    );
+  });
+
+  it("stays quiet when another instance made the change first", async t => {
+    t.mock.method(Device, "find", () => ({
+      select: () => ({
+        lean: async () => [
+          { _id: 1, deviceId: "quiet", status: "online", ...seenAgo(900) }
+        ]
+      })
+    }));
+    t.mock.method(Device, "updateOne", async () => ({ modifiedCount: 0 }));
+    let announced = false;
+    const onStatus = () => {
+      announced = true;
+    };
+    deviceEvents.on("status", onStatus);
+    t.after(() => deviceEvents.off("status", onStatus));
+
+    await checkDevices(new Date(NOW));
+    assert.equal(announced, false);
+  });
+});
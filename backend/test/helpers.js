@@ -0,0 +1,79 @@
+// test/helpers.js
+// Starts the app on a random port with in-memory storage and signs device
+// tokens with the fleet-wide JWT_SECRET. Require this before the app so
+// the environment below is in place when modules read it.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-device-secret";
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || "test-auth-secret";
+process.env.ADMIN_API_KEY = process.env.ADMIN_API_KEY || "test-admin-key";
+process.env.INGEST_QUEUE_DIR = fs.mkdtempSync(
+  path.join(os.tmpdir(), "ingest-queue-")
+);
+delete process.env.MONGO_URI;
+
+const { createApp } = require("../app");
+const { createStorage } = require("../lib/storage");
+
+// `{ baseUrl, request, close }`; `request(path, options)` resolves
+// `{ status, headers, body }` with the body parsed as JSON when it is JSON
+async function startApp() {
+  const app = createApp({ storage: createStorage("memory") });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(urlPath, { method = "GET", body, headers } = {}) {
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get("content-type") || "").includes(
+      "application/json"
+    );
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: isJson && text ? JSON.parse(text) : text
+    };
+  }
+
+  const close = () =>
+    new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    });
+
+  return { baseUrl, request, close };
+}
+
+let sequence = 0;
+
+// A reading token as a device would sign it; each gets its own timestamp
+// unless one is given
+function signReading(claims = {}) {
+  sequence++;
+  return jwt.sign(
+    {
+      deviceId: "node-1",
+      timestamp: Math.floor(Date.now() / 1000) - 3600 + sequence,
+      values: { temperature: 21.5, humidity: 40 },
+      ...claims
+    },
+    process.env.JWT_SECRET,
+    { algorithm: "HS256" }
+  );
+}
+
+const ADMIN = { "X-API-Key": process.env.ADMIN_API_KEY };
+
+module.exports = { startApp, signReading, ADMIN };
@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { idempotency } = require("../lib/idempotency");
+
+// Stands in for the idempotency collection and its unique (scope, key) index
+function fakeKeys(t) {
+  const records = new Map();
+  const id = ({ scope, key }) => `${scope}\u0000${key}`;
+  t.mock.method(IdempotencyKey, "create", async doc => {
+    if (records.has(id(doc))) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    records.set(id(doc), { ...doc });
+  });
+  t.mock.method(IdempotencyKey, "findOne", async filter =>
+    records.get(id(filter))
+  );
+  t.mock.method(IdempotencyKey, "updateOne", async (filter, update) => {
+    Object.assign(records.get(id(filter)), update);
+  });
+  t.mock.method(IdempotencyKey, "deleteOne", async filter => {
+    records.delete(id(filter));
+  });
+  return records;
+}
+
+describe("idempotency middleware", () => {
+  let server;
+  let baseUrl;
+  let calls;
+  let failWith;
+
+  before(async () => {
+    process.env.MONGO_URI = "mongodb://idempotency.test";
+    const app = express();
+    app.use(express.json());
+    app.post("/readings", idempotency(), (req, res) => {
+      calls++;
+      if (failWith) {
+        const { status, retryAfter } = failWith;
+        failWith = null;
+        if (retryAfter) res.setHeader("Retry-After", retryAfter);
+        return res.status(status).json({ error: "boom" });
+      }
+      res.status(201).json({ call: calls, echo: req.body });
+    });
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    delete process.env.MONGO_URI;
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const post = (key, body = {}) =>
+    fetch(`${baseUrl}/readings`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(key && { "Idempotency-Key": key })
+      },
+      body: JSON.stringify(body)
+    });
+
+  it("replays the stored response for a retried key", async t => {
+    fakeKeys(t);
+    calls = 0;
+    const first = await post("key-1", { n: 1 });
+    assert.equal(first.status, 201);
+    const firstBody = await first.json();
+
+    const retry = await post("key-1", { n: 1 });
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(await retry.json(), firstBody);
+    assert.equal(calls, 1);
+  });
+
+  it("runs requests without a key every time", async t => {
+    fakeKeys(t);
+    calls = 0;
+    await post(null);
+    await post(null);
+    assert.equal(calls, 2);
+  });
+
+  it("forgets server errors so the retry runs again", async t => {
+    fakeKeys(t);
+    calls = 0;
+    failWith = { status: 500 };
+    const first = await post("key-2");
+    assert.equal(first.status, 500);
+
+    const retry = await post("key-2");
+    assert.equal(retry.status, 201);
+    assert.equal(calls, 2);
+  });
+
+  it("forgets answers that ask for a retry later", async t => {
+    fakeKeys(t);
+    calls = 0;
+    for (const outcome of [
+      { status: 429, retryAfter: "30" },
+      // A batch that held some readings back
+      { status: 200, retryAfter: "2" }
+    ]) {
+      failWith = outcome;
+      const first = await post(`key-retry-${outcome.status}`);
+      assert.equal(first.status, outcome.status);
+
+      const retry = await post(`key-retry-${outcome.status}`);
+      assert.equal(retry.status, 201);
+      assert.equal(retry.headers.get("idempotent-replayed"), null);
+    }
+    assert.equal(calls, 4);
+  });
+
+  it("answers 409 while the first request is still in flight", async t => {
+    const records = fakeKeys(t);
+    await post("key-3");
+    // As if the first request had not answered yet
+    for (const record of records.values()) record.statusCode = undefined;
+    const res = await post("key-3");
+    assert.equal(res.status, 409);
+    assert.equal((await res.json()).code, "idempotency_in_progress");
+  });
+
+  it("keeps the same key with different tokens apart", async t => {
+    fakeKeys(t);
+    calls = 0;
+    const genuine = jwt.sign({ deviceId: "node-1" }, "device-secret");
+    // Claims the same device, but is not the device's token
+    const forged = jwt.sign({ deviceId: "node-1" }, "guessed-secret");
+    await post("key-4", { token: forged });
+    const real = await post("key-4", { token: genuine });
+    assert.equal(real.status, 201);
+    assert.equal(real.headers.get("idempotent-replayed"), null);
+    assert.equal(calls, 2);
+
+    const retry = await post("key-4", { token: genuine });
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.equal(calls, 2);
+  });
+
+  it("rejects over-long keys", async t => {
+    fakeKeys(t);
+    const res = await post("k".repeat(300));
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "invalid_request");
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, signReading, ADMIN } = require("./helpers");
+
+describe("POST /api/sensor", () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+  });
+  after(() => api.close());
+
+  const ingest = token =>
+    api.request("/api/sensor", { method: "POST", body: { token } });
+
+  it("stores a valid reading and returns it", async () => {
+    const res = await ingest(signReading({ deviceId: "accept-1" }));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.deviceId, "accept-1");
+    assert.deepEqual(res.body.data.values, { temperature: 21.5, humidity: 40 });
+
+    const read = await api.request("/api/sensor?deviceId=accept-1", {
+      headers: ADMIN
+    });
+    assert.equal(read.status, 200);
+    assert.equal(read.body.data.length, 1);
+  });
+
+  it("accepts legacy top-level metric claims", async () => {
+    const token = signReading({
+      deviceId: "legacy-1",
+      values: undefined,
+      temperature: 19
+    });
+    const res = await ingest(token);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.values, { temperature: 19 });
+  });
+
+  it("rejects a second reading with the same device and timestamp", async () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 60;
+    const first = await ingest(signReading({ deviceId: "dup-1", timestamp }));
+    assert.equal(first.status, 200);
+
+    const second = await ingest(
+      signReading({ deviceId: "dup-1", timestamp, values: { temperature: 30 } })
+    );
+    assert.equal(second.status, 409);
+    assert.equal(second.body.code, "duplicate");
+  });
+
+  it("rejects values outside the metric's range", async () => {
+    const res = await ingest(
+      signReading({ deviceId: "range-1", values: { humidity: 140 } })
+    );
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, "out_of_range");
+  });
+
+  it("rejects unknown metrics", async () => {
+    const res = await ingest(
+      signReading({ deviceId: "range-1", values: { radon: 3 } })
+    );
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, "unknown_metric");
+  });
+
+  it("rejects a missing or badly signed token", async () => {
+    const missing = await api.request("/api/sensor", {
+      method: "POST",
+      body: {}
+    });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, "missing_token");
+
+    const forged = await ingest(`${signReading().slice(0, -4)}AAAA`);
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, "invalid_token");
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startApp, ADMIN } = require("./helpers");
+const { loadRegistry } = require("../lib/metricRegistry");
+
+describe("loadRegistry", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "metric-registry-"));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const registryFile = overrides => {
+    const file = path.join(dir, `registry-${Math.random()}.json`);
+    fs.writeFileSync(file, JSON.stringify(overrides));
+    return file;
+  };
+
+  it("adds, replaces and drops metrics from the file", () => {
+    const registry = loadRegistry(
+      registryFile({
+        pm25: { label: "PM2.5", unit: "µg/m³", min: 0, max: 1000 },
+        humidity: { unit: "%", min: 5, max: 95, precision: 1 },
+        co2: null
+      })
+    );
+    assert.deepEqual(Object.keys(registry), [
+      "temperature",
+      "humidity",
+      "pressure",
+      "pm25"
+    ]);
+    assert.deepEqual(registry.pm25, {
+      name: "pm25",
+      label: "PM2.5",
+      unit: "µg/m³",
+      min: 0,
+      max: 1000,
+      display: { min: 0, max: 1000 },
+      precision: 1
+    });
+    assert.equal(registry.humidity.label, "humidity");
+    assert.equal(registry.humidity.min, 5);
+  });
+
+  it("refuses definitions the rest of the code can not use", () => {
+    const cases = [
+      [{ timestamp: { unit: "s", min: 0, max: 1 } }, /reserved/],
+      [{ "PM-25": { unit: "x", min: 0, max: 1 } }, /names are/],
+      [{ lux: { unit: "lx", min: 10, max: 10 } }, /min < max/],
+      [{ lux: { unit: "lx", min: 0, max: 1, precision: 9 } }, /precision/]
+    ];
+    for (const [overrides, message] of cases) {
+      assert.throws(() => loadRegistry(registryFile(overrides)), message);
+    }
+  });
+
+  it("refuses an empty registry and unreadable files", () => {
+    const empty = registryFile({
+      temperature: null,
+      humidity: null,
+      co2: null,
+      pressure: null
+    });
+    assert.throws(() => loadRegistry(empty), /empty/);
+    assert.throws(
+      () => loadRegistry(path.join(dir, "missing.json")),
+      /METRIC_REGISTRY_FILE/
+    );
+  });
+});
+
+describe("GET /api/metric-registry", () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+  });
+  after(() => api.close());
+
+  it("lists the metrics for dashboards", async () => {
+    const res = await api.request("/api/metric-registry", { headers: ADMIN });
+    assert.equal(res.status, 200);
+    const names = res.body.data.map(metric => metric.name);
+    assert.deepEqual(names, ["temperature", "humidity", "co2", "pressure"]);
+  });
+
+  it("needs credentials", async () => {
+    const res = await api.request("/api/metric-registry");
+    assert.equal(res.status, 401);
+  });
+});
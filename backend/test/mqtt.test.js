@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { promisify } = require("util");
+const { ADMIN } = require("./helpers");
+const ApiKey = require("../models/ApiKey");
+const { hashApiKey } = require("../lib/auth");
+const {
+  authenticate,
+  authorizePublish,
+  authorizeSubscribe
+} = require("../lib/mqtt");
+
+const DEVICE_KEY = "fot_device-key";
+const UNBOUND_KEY = "fot_unbound-key";
+const VIEWER_KEY = "fot_viewer-key";
+
+// Connects a fake client; resolves it, or rejects with the CONNACK error
+async function connect(username, password) {
+  const client = {};
+  await new Promise((resolve, reject) =>
+    authenticate(client, username, Buffer.from(password), (err, ok) =>
+      err || !ok ? reject(err) : resolve()
+    )
+  );
+  return client;
+}
+
+const subscribe = (client, topic) =>
+  promisify(authorizeSubscribe)(client, { topic, qos: 1 });
+const publish = (client, topic) =>
+  promisify(authorizePublish)(client, { topic, payload: Buffer.from("") });
+
+describe("embedded MQTT broker auth", () => {
+  before(() => {
+    process.env.MONGO_URI = "mongodb://mqtt.test";
+  });
+  after(() => {
+    delete process.env.MONGO_URI;
+  });
+
+  const storedKeys = t => {
+    const keys = {
+      [hashApiKey(DEVICE_KEY)]: { role: "device", deviceId: "node-1" },
+      [hashApiKey(UNBOUND_KEY)]: { role: "device" },
+      [hashApiKey(VIEWER_KEY)]: { role: "viewer" }
+    };
+    t.mock.method(ApiKey, "findOne", async ({ keyHash }) =>
+      keys[keyHash] ? { _id: keyHash, ...keys[keyHash] } : null
+    );
+    t.mock.method(ApiKey, "updateOne", async () => {});
+  };
+
+  it("refuses clients without a device or admin credential", async t => {
+    storedKeys(t);
+    for (const password of ["wrong", VIEWER_KEY]) {
+      await assert.rejects(connect("node-1", password), err => {
+        assert.equal(err.returnCode, 4);
+        return true;
+      });
+    }
+  });
+
+  it("refuses usernames that would change the topic", async t => {
+    storedKeys(t);
+    await assert.rejects(connect("node-1/+", DEVICE_KEY));
+  });
+
+  it("refuses a device key under another device's name", async t => {
+    storedKeys(t);
+    for (const [username, password] of [
+      ["node-2", DEVICE_KEY],
+      ["node-1", UNBOUND_KEY]
+    ]) {
+      await assert.rejects(connect(username, password), err => {
+        assert.equal(err.returnCode, 4);
+        return true;
+      });
+    }
+  });
+
+  it("limits a device to its own reading and ack topics", async t => {
+    storedKeys(t);
+    const client = await connect("node-1", DEVICE_KEY);
+
+    assert.ok(await subscribe(client, "sensors/node-1/ack"));
+    assert.equal(await subscribe(client, "sensors/node-2/ack"), null);
+    assert.equal(await subscribe(client, "sensors/#"), null);
+
+    await publish(client, "sensors/node-1/reading");
+    await assert.rejects(publish(client, "sensors/node-2/reading"));
+    await assert.rejects(publish(client, "sensors/node-1/ack"));
+  });
+
+  it("lets an admin watch every device", async () => {
+    const client = await connect("ops", ADMIN["X-API-Key"]);
+    assert.ok(await subscribe(client, "sensors/#"));
+    await publish(client, "sensors/node-2/reading");
+    await assert.rejects(publish(client, "$SYS/broker/uptime"));
+  });
+});
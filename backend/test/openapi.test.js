@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, ADMIN } = require("./helpers");
+
+describe("OpenAPI description and request validation", () => {
+  let api;
+  before(async () => {
+    api = await startApp();
+  });
+  after(() => api.close());
+
+  it("serves the spec without credentials", async () => {
+    const res = await api.request("/api/openapi.json");
+    assert.equal(res.status, 200);
+    assert.match(res.body.openapi, /^3\./);
+    assert.ok(res.body.paths["/api/sensor"]);
+    assert.ok(res.body.paths["/api/sensor/batch"]);
+  });
+
+  it("answers schema violations with invalid_request and the details", async () => {
+    const res = await api.request("/api/sensor?limit=0", { headers: ADMIN });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "invalid_request");
+    assert.ok(res.body.details.some(d => d.path.includes("limit")));
+  });
+
+  it("names the problem with malformed JSON", async () => {
+    const res = await fetch(`${api.baseUrl}/api/sensor`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{"
+    });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "malformed_json");
+  });
+
+  it("gives handwritten 400s an error code too", async () => {
+    const res = await api.request("/api/sensor?cursor=zzz", {
+      headers: ADMIN
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "bad_request");
+  });
+});
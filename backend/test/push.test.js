@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const webpush = require("web-push");
+
+// Push is switched on by the keys being present when lib/push loads
+const vapidKeys = webpush.generateVAPIDKeys();
+process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+
+const PushSubscription = require("../models/PushSubscription");
+const { alertPayload, notifyAlert } = require("../lib/push");
+const pushRouter = require("../routes/push");
+
+const ALERT = {
+  _id: "alert-1",
+  ruleId: "rule-1",
+  ruleName: "Server room",
+  deviceId: "node-1",
+  metric: "temperature",
+  operator: ">",
+  threshold: 30,
+  triggerValue: 31.26
+};
+
+const SUBSCRIPTION = {
+  endpoint: "https://push.example.com/send/abc",
+  keys: { p256dh: "p256dh-key", auth: "auth-secret" }
+};
+
+describe("alertPayload", () => {
+  it("describes the alert and links to the sensor", () => {
+    assert.deepEqual(alertPayload(ALERT), {
+      title: "Temperature alert on node-1",
+      body: "31.3 °C (> 30.0 °C) · Server room",
+      tag: "alert-rule-1-node-1",
+      url: "/?device=node-1&metric=temperature",
+      alertId: "alert-1",
+      deviceId: "node-1",
+      metric: "temperature"
+    });
+  });
+});
+
+describe("notifyAlert", () => {
+  it("sends to opted-in subscriptions and drops the gone ones", async t => {
+    const subscriptions = [
+      { _id: "live", ...SUBSCRIPTION },
+      { _id: "gone", ...SUBSCRIPTION, endpoint: "https://push.example.com/x" }
+    ];
+    const find = t.mock.method(PushSubscription, "find", () => ({
+      lean: async () => subscriptions
+    }));
+    t.mock.method(PushSubscription, "updateOne", async () => {});
+    const deleted = t.mock.method(
+      PushSubscription,
+      "deleteOne",
+      async () => {}
+    );
+    t.mock.method(webpush, "sendNotification", async ({ endpoint }) => {
+      if (endpoint.endsWith("/x")) {
+        throw Object.assign(new Error("Gone"), { statusCode: 410 });
+      }
+    });
+
+    assert.equal(await notifyAlert(ALERT), 1);
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      metrics: "temperature"
+    });
+    assert.deepEqual(deleted.mock.calls[0].arguments[0], { _id: "gone" });
+  });
+});
+
+describe("push routes", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.principal = { type: "user", id: "user-1", role: "viewer" };
+      next();
+    });
+    app.use("/push", pushRouter);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const post = (path, body) =>
+    fetch(`${baseUrl}/push${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+
+  it("hands out the public key", async () => {
+    const res = await fetch(`${baseUrl}/push/vapid-public-key`);
+    assert.deepEqual(await res.json(), { publicKey: vapidKeys.publicKey });
+  });
+
+  it("saves a subscription for its caller", async t => {
+    const saved = t.mock.method(
+      PushSubscription,
+      "findOneAndUpdate",
+      async (filter, update) => ({ ...filter, ...update.$set })
+    );
+    const res = await post("/subscribe", {
+      subscription: SUBSCRIPTION,
+      metrics: ["temperature", "temperature", "co2"]
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      endpoint: SUBSCRIPTION.endpoint,
+      metrics: ["temperature", "co2"]
+    });
+    const update = saved.mock.calls[0].arguments[1];
+    assert.equal(update.$set.principalId, "user-1");
+  });
+
+  it("rejects subscriptions it could not deliver to", async () => {
+    const cases = [
+      {
+        subscription: { ...SUBSCRIPTION, endpoint: "http://push.example.com" }
+      },
+      { subscription: { endpoint: SUBSCRIPTION.endpoint }, metrics: [] },
+      { subscription: SUBSCRIPTION, metrics: ["wind"] }
+    ];
+    for (const body of cases) {
+      const res = await post("/subscribe", { metrics: [], ...body });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).code, "invalid_subscription");
+    }
+  });
+
+  it("deletes a subscription on unsubscribe", async t => {
+    const deleted = t.mock.method(
+      PushSubscription,
+      "deleteOne",
+      async () => {}
+    );
+    const res = await post("/unsubscribe", { endpoint: SUBSCRIPTION.endpoint });
+    assert.equal(res.status, 204);
+    assert.deepEqual(deleted.mock.calls[0].arguments[0], {
+      endpoint: SUBSCRIPTION.endpoint
+    });
+  });
+});
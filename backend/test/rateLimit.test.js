@@ -0,0 +1,62 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore, createRateLimiter } = require("../lib/rateLimit");
+
+const LIMIT = { capacity: 3, refillPerSecond: 1 };
+
+describe("memory rate limit store", () => {
+  it("allows a burst of `capacity` and then refuses", async () => {
+    const store = createMemoryStore();
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await store.take("k", LIMIT));
+    store.close();
+
+    assert.deepEqual(
+      results.map(r => r.allowed),
+      [true, true, true, false]
+    );
+    assert.equal(results[3].retryAfterSeconds, 1);
+  });
+
+  it("keeps separate buckets per key", async () => {
+    const store = createMemoryStore();
+    for (let i = 0; i < 3; i++) await store.take("a", LIMIT);
+    const other = await store.take("b", LIMIT);
+    store.close();
+    assert.equal(other.allowed, true);
+  });
+
+  it("keeps idle buckets that have not refilled yet", async t => {
+    t.mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 });
+    const slow = { capacity: 10, refillPerSecond: 1 / 60 };
+    const store = createMemoryStore();
+    for (let i = 0; i < 10; i++) await store.take("slow", slow);
+
+    // Past the sweep, with a little over one token refilled
+    t.mock.timers.tick(61 * 1000);
+    const results = [await store.take("slow", slow)];
+    results.push(await store.take("slow", slow));
+    store.close();
+
+    assert.deepEqual(
+      results.map(r => r.allowed),
+      [true, false]
+    );
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("throws a 429 rate_limited error once a device is over its limit", async () => {
+    const limiter = createRateLimiter({
+      limits: { device: { capacity: 1, refillPerSecond: 0.01 } }
+    });
+    await limiter.checkDevice("node-1");
+    await assert.rejects(limiter.checkDevice("node-1"), err => {
+      assert.equal(err.status, 429);
+      assert.equal(err.code, "rate_limited");
+      assert.ok(err.retryAfterSeconds > 0);
+      return true;
+    });
+    limiter.store.close();
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Nonce = require("../models/Nonce");
+const { claimToken, releaseToken } = require("../lib/replay");
+
+// Stands in for the nonces collection and its unique jti index
+function fakeNonces(t) {
+  const used = new Set();
+  t.mock.method(Nonce, "create", async ({ jti }) => {
+    if (used.has(jti)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    used.add(jti);
+  });
+  t.mock.method(Nonce, "deleteOne", async ({ jti }) => {
+    used.delete(jti);
+  });
+}
+
+describe("token replay protection", () => {
+  beforeEach(() => {
+    process.env.MONGO_URI = "mongodb://replay.test";
+  });
+  afterEach(() => {
+    delete process.env.MONGO_URI;
+  });
+
+  it("accepts a jti once and refuses it after that", async t => {
+    fakeNonces(t);
+    const claims = { jti: "abc", deviceId: "node-1" };
+    assert.equal(await claimToken(claims), true);
+    assert.equal(await claimToken(claims), false);
+  });
+
+  it("lets a released token be claimed again", async t => {
+    fakeNonces(t);
+    const claims = { jti: "retry", deviceId: "node-1" };
+    assert.equal(await claimToken(claims), true);
+    await releaseToken(claims);
+    assert.equal(await claimToken(claims), true);
+  });
+
+  it("leaves tokens without a jti to reading uniqueness", async t => {
+    fakeNonces(t);
+    assert.equal(await claimToken({ deviceId: "node-1" }), true);
+    assert.equal(await claimToken({ deviceId: "node-1" }), true);
+    assert.equal(Nonce.create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Sensor = require("../models/Sensor");
+const HourlyRollup = require("../models/HourlyRollup");
+const { aggregateReadings } = require("../lib/aggregate");
+const { decodeCursor } = require("../lib/readingsQuery");
+const { DAY_SECONDS, RAW_RETENTION_DAYS } = require("../lib/retention");
+const { createStorage } = require("../lib/storage");
+
+const HOUR = 60 * 60;
+const now = () => Math.floor(Date.now() / 1000);
+const alignHour = time => time - (time % HOUR);
+
+// The newest stored hourly rollup starts at `bucket`
+function newestRollup(t, bucket) {
+  t.mock.method(HourlyRollup, "findOne", () => ({
+    sort: () => ({ lean: async () => (bucket === null ? null : { bucket }) })
+  }));
+}
+
+describe("aggregateReadings past raw retention", () => {
+  it("reads raw readings from where the rollups end", async t => {
+    const rolledUpTo = alignHour(now()) - 5 * HOUR;
+    newestRollup(t, rolledUpTo - HOUR);
+    const rollups = t.mock.method(HourlyRollup, "aggregate", async () => []);
+    const raw = t.mock.method(Sensor, "aggregate", async () => []);
+
+    const result = await aggregateReadings(Sensor, {
+      from: String(now() - (RAW_RETENTION_DAYS + 5) * DAY_SECONDS),
+      bucket: "1h"
+    });
+
+    assert.equal(result.source, "hourly");
+    const [rollupMatch] = rollups.mock.calls[0].arguments[0];
+    assert.equal(rollupMatch.$match.bucket.$lt, rolledUpTo);
+    const [rawMatch] = raw.mock.calls[0].arguments[0];
+    assert.equal(rawMatch.$match.timestamp.$gte, rolledUpTo);
+  });
+
+  it("reads only raw readings before the first rollup run", async t => {
+    newestRollup(t, null);
+    t.mock.method(HourlyRollup, "aggregate", async () => []);
+    const raw = t.mock.method(Sensor, "aggregate", async () => []);
+    const from = now() - (RAW_RETENTION_DAYS + 5) * DAY_SECONDS;
+
+    await aggregateReadings(Sensor, { from: String(from), bucket: "1h" });
+
+    const [rawMatch] = raw.mock.calls[0].arguments[0];
+    assert.equal(rawMatch.$match.timestamp.$gte, alignHour(from));
+  });
+});
+
+describe("mongo findReadings across raw retention", () => {
+  const storage = createStorage("mongo");
+  const found = rows => () => ({
+    sort: () => ({ limit: async () => rows })
+  });
+
+  it("pages on from raw readings into hourly rollups", async t => {
+    const raw = t.mock.method(Sensor, "find", found([]));
+    t.mock.method(HourlyRollup, "exists", async () => ({ _id: "rollup" }));
+    const from = String(now() - (RAW_RETENTION_DAYS + 5) * DAY_SECONDS);
+
+    const first = await storage.findReadings({ from }, { deviceId: "n-1" });
+
+    assert.equal(first.source, "raw");
+    const boundary = raw.mock.calls[0].arguments[0].timestamp.$gte;
+    assert.equal(boundary % HOUR, 0);
+    assert.ok(boundary > Number(from));
+    assert.equal(decodeCursor(first.nextCursor).t, boundary);
+
+    const rollups = t.mock.method(HourlyRollup, "find", found([]));
+    const next = await storage.findReadings(
+      { from, cursor: first.nextCursor },
+      { deviceId: "n-1" }
+    );
+
+    assert.equal(next.source, "hourly");
+    const filter = rollups.mock.calls[0].arguments[0];
+    assert.equal(filter.deviceId, "n-1");
+    assert.equal(filter.bucket.$lte, boundary - 1);
+  });
+
+  it("ends with the raw readings when no rollups are older", async t => {
+    t.mock.method(Sensor, "find", found([]));
+    t.mock.method(HourlyRollup, "exists", async () => null);
+    const from = String(now() - (RAW_RETENTION_DAYS + 5) * DAY_SECONDS);
+
+    const page = await storage.findReadings({ from }, {});
+    assert.equal(page.nextCursor, null);
+  });
+});
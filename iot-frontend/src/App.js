@@ -9,72 +9,228 @@ import {
   Legend,
   Tooltip
 } from "chart.js";
+import Login from "./Login";
 
 ChartJS.register(LineElement, CategoryScale, LinearScale, PointElement, Legend, Tooltip);
 
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL;
+const MAX_READINGS = 50;
+const POLL_INTERVAL_MS = 5000;
+const TOKEN_KEY = "authToken";
+
+// Until the backend's metric registry (GET /api/metric-registry) arrives
+const DEFAULT_METRICS = [
+  { name: "temperature", label: "Temperature", unit: "°C", precision: 1 },
+  { name: "humidity", label: "Humidity", unit: "%", precision: 0 }
+];
+// Line colours, in registry order
+const COLORS = ["red", "blue", "green", "purple", "orange", "brown"];
+
+const ANOMALY_LABELS = {
+  zscore: "outlier",
+  rate: "implausible jump",
+  flatline: "stuck value"
+};
+
+// Readings the backend flagged as likely sensor faults are drawn as larger
+// red triangles on the line of the metric concerned
+function anomalyPoints(history, metric, color) {
+  const flagged = index =>
+    (history[index].anomalies || []).some(a => a.metric === metric);
+  return {
+    pointStyle: ctx => (flagged(ctx.dataIndex) ? "triangle" : "circle"),
+    pointRadius: ctx => (flagged(ctx.dataIndex) ? 7 : 3),
+    pointBackgroundColor: ctx => (flagged(ctx.dataIndex) ? "darkred" : color)
+  };
+}
+
+// One y axis per unit: the first on the left, the rest on the right. The
+// registry's display ranges suggest the extent; data may stretch it.
+function unitAxes(metrics) {
+  const scales = {
+    x: {
+      title: { display: true, text: "Time" }
+    }
+  };
+  const units = [...new Set(metrics.map(m => m.unit))];
+  units.forEach((unit, index) => {
+    const ranges = metrics
+      .filter(m => m.unit === unit && m.display)
+      .map(m => m.display);
+    scales[`y-${unit}`] = {
+      position: index === 0 ? "left" : "right",
+      title: { display: true, text: unit },
+      grid: { drawOnChartArea: index === 0 },
+      ...(ranges.length > 0 && {
+        suggestedMin: Math.min(...ranges.map(r => r.min)),
+        suggestedMax: Math.max(...ranges.map(r => r.max))
+      })
+    };
+  });
+  return scales;
+}
+
+function toHistory(readings) {
+  return readings
+    .slice()
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-MAX_READINGS);
+}
+
 function App() {
-  const [history, setHistory] = useState([]);
+  const [readings, setReadings] = useState([]);
+  const [metrics, setMetrics] = useState(DEFAULT_METRICS);
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY));
+
+  const handleLogin = newToken => {
+    sessionStorage.setItem(TOKEN_KEY, newToken);
+    setToken(newToken);
+  };
+
+  const handleLogout = () => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+    setReadings([]);
+  };
 
   useEffect(() => {
+    if (!token) return undefined;
+
+    let interval = null;
+    let source = null;
+
     const fetchData = async () => {
       try {
-        const res = await fetch(`${process.env.REACT_APP_BACKEND_URL}/api/sensor`);
-        const json = await res.json();
-
-        setHistory(
-          json
-          .sort((a, b) => a.timestamp - b.timestamp)
-          .map(entry => ({
-            time: new Date(entry.timestamp * 1000).toLocaleTimeString(),
-            temperature: entry.temperature,
-            humidity: entry.humidity
-          }))
-        );
+        const res = await fetch(`${BACKEND_URL}/api/sensor`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        if (res.status === 401) {
+          // Session expired: back to the login form
+          sessionStorage.removeItem(TOKEN_KEY);
+          setToken(null);
+          return;
+        }
+        const { data } = await res.json();
+        setReadings(toHistory(data));
       } catch (err) {
         console.error("Error fetching data:", err);
       }
     };
 
+    const startPolling = () => {
+      if (!interval) interval = setInterval(fetchData, POLL_INTERVAL_MS);
+    };
+
+    const stopPolling = () => {
+      clearInterval(interval);
+      interval = null;
+    };
+
+    const fetchRegistry = async () => {
+      try {
+        const res = await fetch(`${BACKEND_URL}/api/metric-registry`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        if (!res.ok) return;
+        const { data } = await res.json();
+        if (Array.isArray(data) && data.length > 0) setMetrics(data);
+      } catch (err) {
+        console.error("Error fetching metric registry:", err);
+      }
+    };
+
+    fetchRegistry();
     fetchData();
-    const interval = setInterval(fetchData, 5000); // refresh every 5s
-    return () => clearInterval(interval);
-  }, []);
+
+    // Push new readings as they arrive; poll only while the stream is down
+    if (typeof EventSource === "undefined") {
+      startPolling();
+    } else {
+      // EventSource can not send headers, so the token goes in the query
+      source = new EventSource(
+        `${BACKEND_URL}/api/sensor/stream?access_token=${encodeURIComponent(token)}`
+      );
+      source.onopen = () => {
+        if (!interval) return;
+        // Reconnected: stop polling and catch up on anything missed
+        stopPolling();
+        fetchData();
+      };
+      source.onerror = startPolling;
+      source.addEventListener("reading", event => {
+        const reading = JSON.parse(event.data);
+        setReadings(prev =>
+          prev.some(r => r._id === reading._id)
+            ? prev
+            : toHistory([...prev, reading])
+        );
+      });
+    }
+
+    return () => {
+      stopPolling();
+      if (source) source.close();
+    };
+  }, [token]);
+
+  const history = readings.map(entry => ({
+    time: new Date(entry.timestamp * 1000).toLocaleTimeString(),
+    values: entry.values || {},
+    anomalies: entry.anomalies
+  }));
+
+  // A line per registry metric that any reading in view carries
+  const shown = metrics
+    .map((metric, index) => ({ ...metric, color: COLORS[index % COLORS.length] }))
+    .filter(({ name }) => history.some(entry => entry.values[name] != null));
 
   const chartData = {
     labels: history.map(entry => entry.time),
-    datasets: [
-      {
-        label: "Temperature (°C)",
-        data: history.map(entry => entry.temperature),
-        borderColor: "red",
-        fill: false,
-        tension: 0.3   // smooth line
-      },
-      {
-        label: "Humidity (%)",
-        data: history.map(entry => entry.humidity),
-        borderColor: "blue",
-        fill: false,
-        tension: 0.3
-      }
-    ]
+    datasets: shown.map(({ name, label, unit, precision, color }) => ({
+      label: `${label} (${unit})`,
+      data: history.map(entry => entry.values[name] ?? null),
+      borderColor: color,
+      fill: false,
+      tension: 0.3,   // smooth line
+      yAxisID: `y-${unit}`,
+      precision,
+      ...anomalyPoints(history, name, color)
+    }))
   };
 
 const chartOptions = {
   responsive: true,
-  scales: {
-    x: {
-      title: { display: true, text: "Time" }
-    },
-    y: {
-      title: { display: true, text: "Values" }
+  plugins: {
+    tooltip: {
+      callbacks: {
+        label: ctx =>
+          `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(ctx.dataset.precision)}`,
+        // Name the checks a flagged reading failed
+        footer: items =>
+          items.length === 0
+            ? []
+            : (history[items[0].dataIndex].anomalies || []).map(
+                a => `⚠ ${a.metric}: ${ANOMALY_LABELS[a.type] || a.type}`
+              )
+      }
     }
-  }
+  },
+  scales: unitAxes(shown)
 };
 
+  if (!token) {
+    return (
+      <div style={{ fontFamily: "Arial", padding: "20px" }}>
+        <h1>🌡️ IoT Sensor Dashboard</h1>
+        <Login onLogin={handleLogin} />
+      </div>
+    );
+  }
+
   return (
     <div style={{ fontFamily: "Arial", padding: "20px" }}>
       <h1>🌡️ IoT Sensor Dashboard</h1>
+      <button onClick={handleLogout}>Sign out</button>
       <Line data={chartData} options={chartOptions} />
     </div>
   );
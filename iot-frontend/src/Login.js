@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL;
+
+function Login({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async event => {
+    event.preventDefault();
+    setError(null);
+
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password })
+      });
+      if (!res.ok) {
+        setError(res.status === 401 ? "Invalid username or password" : "Login failed");
+        return;
+      }
+      const { token } = await res.json();
+      onLogin(token);
+    } catch (err) {
+      console.error("Login error:", err);
+      setError("Backend unreachable");
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ maxWidth: "280px" }}>
+      <h2>Sign in</h2>
+      <label style={{ display: "block", marginBottom: "8px" }}>
+        Username
+        <input
+          value={username}
+          onChange={e => setUsername(e.target.value)}
+          autoComplete="username"
+          style={{ display: "block", width: "100%" }}
+        />
+      </label>
+      <label style={{ display: "block", marginBottom: "8px" }}>
+        Password
+        <input
+          type="password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          autoComplete="current-password"
+          style={{ display: "block", width: "100%" }}
+        />
+      </label>
+      {error && <p style={{ color: "red" }}>{error}</p>}
+      <button type="submit">Sign in</button>
+    </form>
+  );
+}
+
+export default Login;
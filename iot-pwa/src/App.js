@@ -1,195 +1,463 @@
 import React, { useEffect, useState, useRef } from "react";
-import SensorChart from "./components/SensorChart";
+import SensorChart, { DERIVED_METRICS } from "./components/SensorChart";
+import DeviceBadges from "./components/DeviceBadges";
+import PushSettings from "./components/PushSettings";
+import SignIn from "./components/SignIn";
+import RangePicker, { RANGES } from "./components/RangePicker";
+import { historySummary, latestTimestamp, readRange, saveReadings } from "./historyStore";
+
+// Everything comes from the Express API, which also computes the derived
+// metrics (?fields=) the chart offers
+const API_URL = process.env.REACT_APP_API_URL;
+// The Express token of whoever signed in; gone when the tab closes
+const TOKEN_KEY = "apiToken";
+const READINGS_PATH = "/api/sensor";
+const STATUS_PATH = "/api/status";
+const REGISTRY_PATH = "/api/metric-registry";
+const AGGREGATE_PATH = "/api/sensor/aggregate";
+const REGISTRY_KEY = "metricRegistry";
+// Where earlier versions kept a single offline snapshot
+const LEGACY_SNAPSHOT_KEY = "cachedSensorData";
+const STREAM_URL = process.env.REACT_APP_STREAM_URL || `${API_URL}/api/sensor/stream`;
+const POLL_INTERVAL_MS = 5000;
+// Raw readings are paged through this many at a time (the API's maximum),
+// and at most this many pages per fetch; the newest come first
+const READINGS_PAGE_LIMIT = 1000;
+const MAX_READINGS_PAGES = 10;
+// Aggregated charts of a window ending now are refetched at most this often
+const AGGREGATE_REFRESH_MS = 60000;
+// Bucket sizes of the aggregate API used here, in seconds
+const BUCKET_SECONDS = { "5m": 300, "1h": 3600, "1d": 86400 };
+// Ask the backend for every derived metric; the chart lets users pick
+const FIELDS_QUERY = `fields=${Object.keys(DERIVED_METRICS).join(",")}`;
+// Until the backend's metric registry has been fetched once
+const DEFAULT_METRICS = [
+  {
+    name: "temperature",
+    label: "Temperature",
+    unit: "°C",
+    display: { min: -10, max: 40 },
+    precision: 1,
+  },
+  { name: "humidity", label: "Humidity", unit: "%", display: { min: 0, max: 100 }, precision: 0 },
+];
+
+// The sensor an alert notification opened the dashboard on:
+// ?device=<deviceId>&metric=<metric>, or null
+function readFocus(search) {
+  const params = new URLSearchParams(search);
+  const deviceId = params.get("device");
+  return deviceId ? { deviceId, metric: params.get("metric") } : null;
+}
+
+function readCachedRegistry() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+    if (Array.isArray(cached) && cached.length > 0) return cached;
+  } catch (err) {
+    // ignore parse errors
+  }
+  return DEFAULT_METRICS;
+}
+
+// The Express API sends metrics under `values`; readings cached by older
+// versions (from the former data API) have them as top-level fields, which
+// are picked by registry name
+function readingValues(r, metrics) {
+  const source = r.values && typeof r.values === "object" ? r.values : r;
+  const names = source === r ? metrics.map((m) => m.name) : Object.keys(source);
+  const values = {};
+  for (const name of names) {
+    const value = source[name] == null ? NaN : Number(source[name]);
+    if (!Number.isNaN(value)) values[name] = value;
+  }
+  return values;
+}
 
-const CACHE_NAME = "sensor-data-cache-v7"; // match your SW version (v7)
-const API_PATH = "/api/data/";
-const LOGIN_PATH = "/api/login";
+function derivedValues(r) {
+  const derived = {};
+  for (const key of Object.keys(DERIVED_METRICS)) {
+    if (typeof r[key] === "number") derived[key] = r[key];
+  }
+  return derived;
+}
 
-function normalizeReadings(arr) {
+function normalizeReadings(arr, metrics) {
   if (!Array.isArray(arr)) return [];
   return arr
     .map((r) => {
-      const ts = r.timestamp ? new Date(r.timestamp) : null;
+      // The Express API sends epoch seconds; stored readings have ISO strings
+      const ts =
+        typeof r.timestamp === "number"
+          ? new Date(r.timestamp * 1000)
+          : r.timestamp
+            ? new Date(r.timestamp)
+            : null;
       return {
         timestamp: ts && !Number.isNaN(ts.getTime()) ? ts.toISOString() : null,
-        temperature: r.temperature == null ? null : Number(r.temperature),
-        humidity: r.humidity == null ? null : Number(r.humidity),
+        ...(typeof r.deviceId === "string" && { deviceId: r.deviceId }),
+        values: readingValues(r, metrics),
+        ...derivedValues(r),
+        // Flags from the backend's anomaly checks, marked on the chart
+        ...(Array.isArray(r.anomalies) && r.anomalies.length > 0 && { anomalies: r.anomalies }),
       };
     })
-    .filter((r) => r.timestamp && r.temperature !== null && r.humidity !== null);
+    .filter((r) => r.timestamp && Object.keys(r.values).length > 0);
 }
 
-async function readCachedData() {
-  try {
-    const cache = await caches.open(CACHE_NAME);
-    const apiUrl = `${process.env.REACT_APP_BACKEND_URL}${API_PATH}`;
+// Aggregate buckets as chart readings: the mean as the value, with the
+// min and max kept under `bands`
+function bucketReadings(buckets) {
+  if (!Array.isArray(buckets)) return [];
+  return buckets
+    .map((b) => {
+      const values = {};
+      const bands = {};
+      for (const [name, stats] of Object.entries(b.values || {})) {
+        if (!stats || typeof stats.avg !== "number") continue;
+        values[name] = stats.avg;
+        bands[name] = { min: stats.min, max: stats.max };
+      }
+      return {
+        timestamp: new Date(b.bucket * 1000).toISOString(),
+        values,
+        bands,
+        ...derivedValues(b),
+      };
+    })
+    .filter((r) => Object.keys(r.values).length > 0);
+}
 
-    // Try exact URL first
-    let cachedResponse = await cache.match(apiUrl);
+// Calls the Express API with the token in `tokenRef`. A 401 (e.g. the
+// token expired) drops it, and the dashboard asks to sign in again.
+async function apiFetch(tokenRef, path, options = {}) {
+  const res = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${tokenRef.current}`, ...options.headers },
+  });
+  if (res.status === 401) {
+    tokenRef.current = null;
+    sessionStorage.removeItem(TOKEN_KEY);
+  }
+  return res;
+}
 
-    // If not found, search keys for any entry that contains the API path (handles query params)
-    if (!cachedResponse) {
-      const keys = await cache.keys();
-      const matchReq = keys.find((req) => req.url && req.url.includes(API_PATH));
-      if (matchReq) cachedResponse = await cache.match(matchReq.url || matchReq);
-    }
+// Same device and time; readings without a device (as stored) match each other
+function sameReading(a, b) {
+  return a.timestamp === b.timestamp && (a.deviceId || "") === (b.deviceId || "");
+}
 
-    if (cachedResponse) {
-      const json = await cachedResponse.json();
-      return { data: normalizeReadings(json), source: "cache" };
+// Adds a pushed reading and drops those that fell out of the window
+function appendReading(readings, reading, from) {
+  if (readings.some((r) => sameReading(r, reading))) return readings;
+  return [...readings, reading].filter((r) => r.timestamp >= from);
+}
+
+// Raw readings for short windows; beyond that aggregate buckets, sized to
+// keep a few hundred points on the chart
+function bucketFor(seconds) {
+  if (seconds <= 6 * 3600) return null;
+  if (seconds <= 3 * 24 * 3600) return "5m";
+  if (seconds <= 60 * 24 * 3600) return "1h";
+  return "1d";
+}
+
+// What a range asks for: ISO `from`/`to` and the bucket size (null for raw
+// readings). Preset windows end now (`to` is null) and follow new readings.
+function viewWindow(range, now = Date.now()) {
+  const live = range.preset !== "custom";
+  const from = live ? now - RANGES[range.preset].seconds * 1000 : range.from;
+  const to = live ? null : range.to;
+  return {
+    live,
+    from: new Date(from).toISOString(),
+    to: to === null ? null : new Date(to).toISOString(),
+    bucket: bucketFor(((to ?? now) - from) / 1000),
+  };
+}
+
+// Query string for the Express data endpoints; null parameters are left out
+function dataQuery(params) {
+  const pairs = Object.entries(params)
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  return [FIELDS_QUERY, ...pairs].join("&");
+}
+
+// Stored readings for the view. Offline a window ending now ends at the
+// newest stored reading instead. A snapshot left in localStorage by
+// earlier versions is moved into the store first.
+async function readStoredHistory(metrics, view) {
+  try {
+    const legacy = localStorage.getItem(LEGACY_SNAPSHOT_KEY);
+    if (legacy) {
+      localStorage.removeItem(LEGACY_SNAPSHOT_KEY);
+      await saveReadings(normalizeReadings(JSON.parse(legacy), metrics));
     }
   } catch (err) {
-    // eslint-disable-next-line no-console
-    console.log("SW cache read failed:", err);
+    // ignore unreadable snapshots
   }
 
-  // Fallback to localStorage
   try {
-    const local = localStorage.getItem("cachedSensorData");
-    if (local) {
-      return { data: normalizeReadings(JSON.parse(local)), source: "localStorage" };
-    }
+    if (!view.live) return await readRange(view.from, view.to);
+    const latest = await latestTimestamp();
+    if (!latest) return [];
+    const span = Date.now() - Date.parse(view.from);
+    return await readRange(new Date(Date.parse(latest) - span).toISOString(), latest);
   } catch (err) {
-    // ignore parse errors
+    // eslint-disable-next-line no-console
+    console.warn("App: history read failed", err);
+    return [];
   }
-
-  return { data: null, source: null };
 }
 
 function App() {
   const [data, setData] = useState([]);
-  const [error, setError] = useState(null); // only for real errors (no cached data)
-  const [cached, setCached] = useState(false); // true when data came from cache
-  const [lastCachedTime, setLastCachedTime] = useState(null);
+  const [error, setError] = useState(null); // only for real errors (no stored data)
+  const [cached, setCached] = useState(false); // true when data came from the history store
+  const [lastCachedTime, setLastCachedTime] = useState(null); // last successful sync
+  const [stored, setStored] = useState(null); // { count, oldest } of the history store
   const [lastLiveTime, setLastLiveTime] = useState(null);
+  const [devices, setDevices] = useState([]); // fleet status, empty when unavailable
+  const [metrics, setMetrics] = useState(readCachedRegistry);
+  const [range, setRange] = useState({ preset: "1h" });
+  const [focus, setFocus] = useState(() => readFocus(window.location.search));
+  const [signedIn, setSignedIn] = useState(() => Boolean(sessionStorage.getItem(TOKEN_KEY)));
 
   const pollingRef = useRef(null);
-  const jwtRef = useRef(null);
+  const apiTokenRef = useRef(sessionStorage.getItem(TOKEN_KEY)); // Express token
   const stoppedRef = useRef(false);
+  const streamRef = useRef(null);
+  const streamingRef = useRef(false); // true while the push stream is open
+  const metricsRef = useRef(metrics); // the registry, for the effect's callbacks
+  const registryFetchedRef = useRef(false);
+  const rangeRef = useRef(range); // the chosen range, for the effect's callbacks
+  const reloadRef = useRef(null); // refetches after the range changes
 
   useEffect(() => {
     stoppedRef.current = false;
+    // The range last charted and when, so fixed windows are fetched once
+    // and aggregates are not refetched on every poll
+    let loaded = { range: null, at: 0 };
+
+    const startPolling = () => {
+      if (!pollingRef.current) {
+        pollingRef.current = setInterval(fetchData, POLL_INTERVAL_MS);
+      }
+    };
+
+    const stopPolling = () => {
+      if (pollingRef.current) {
+        clearInterval(pollingRef.current);
+        pollingRef.current = null;
+      }
+    };
+
+    // Node badges are a nice-to-have: any failure just hides them
+    const fetchStatus = async () => {
+      if (!apiTokenRef.current) {
+        setDevices([]);
+        return;
+      }
+      try {
+        const res = await apiFetch(apiTokenRef, STATUS_PATH, { cache: "no-store" });
+        if (!res.ok) {
+          setDevices([]);
+          return;
+        }
+        const json = await res.json();
+        setDevices(Array.isArray(json.devices) ? json.devices : []);
+      } catch (err) {
+        setDevices([]);
+      }
+    };
+
+    // Which metrics exist and how to draw them; kept for offline use
+    const fetchRegistry = async () => {
+      if (!apiTokenRef.current) return;
+      try {
+        const res = await apiFetch(apiTokenRef, REGISTRY_PATH);
+        if (!res.ok) return;
+        const { data: registry } = await res.json();
+        if (!Array.isArray(registry) || registry.length === 0) return;
+        registryFetchedRef.current = true;
+        metricsRef.current = registry;
+        setMetrics(registry);
+        localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+      } catch (err) {
+        // keep the cached or default registry
+      }
+    };
+
+    const refreshSummary = () =>
+      historySummary()
+        .then(setStored)
+        .catch(() => setStored(null));
+
+    // Falls back to the history store; false when it holds nothing
+    const showStoredHistory = async (view) => {
+      const history = await readStoredHistory(metricsRef.current, view);
+      refreshSummary();
+      loaded = { range: null, at: 0 }; // fetch again once the backend answers
+      if (history.length === 0) return false;
+      setData(history);
+      setCached(true);
+      setError(null); // do not show an error while there is data to show
+      return true;
+    };
+
+    // Adds readings to the history store; false when it can not be used
+    const storeReadings = async (readings) => {
+      try {
+        await saveReadings(readings);
+        refreshSummary();
+        return true;
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.warn("App: history store failed (ignored)", err);
+        return false;
+      }
+    };
+
+    // Raw readings from the Express API, normalized, newest first; null
+    // when it refuses or we are not signed in. Pages on until the window
+    // is done or MAX_READINGS_PAGES are in.
+    const fetchReadings = async (params) => {
+      if (!apiTokenRef.current) return null;
+      const readings = [];
+      let cursor = null;
+      for (let page = 0; page < MAX_READINGS_PAGES; page++) {
+        const query = dataQuery({ ...params, limit: READINGS_PAGE_LIMIT, cursor });
+        const res = await apiFetch(apiTokenRef, `${READINGS_PATH}?${query}`, { cache: "no-store" });
+        if (!res.ok) return null;
+        const json = await res.json();
+        // Past raw retention the API pages on into hourly rollups, which
+        // are not readings
+        if (json.source && json.source !== "raw") break;
+        readings.push(...normalizeReadings(json.data, metricsRef.current));
+        cursor = json.nextCursor;
+        if (!cursor) break;
+      }
+      return readings;
+    };
+
+    // Mean, min and max per bucket from the Express API; null when it
+    // refuses or we are not logged in to it
+    const fetchBuckets = async (view) => {
+      if (!apiTokenRef.current) return null;
+      const query = dataQuery({ bucket: view.bucket, from: view.from, to: view.to });
+      const res = await apiFetch(apiTokenRef, `${AGGREGATE_PATH}?${query}`, { cache: "no-store" });
+      if (!res.ok) return null;
+      const json = await res.json();
+      return bucketReadings(json.data);
+    };
 
     const fetchData = async () => {
       if (stoppedRef.current) return;
-
-      // If offline, read cache and stop polling
+      // A token the API refused since the last poll asks to sign in again
+      setSignedIn(Boolean(apiTokenRef.current));
+      const range = rangeRef.current;
+      const view = viewWindow(range);
+      // Answers for a range the user has since left are dropped
+      const current = () => !stoppedRef.current && rangeRef.current === range;
+
+      // If offline, show stored history and stop polling
       if (!navigator.onLine) {
-        const { data: cachedData, source } = await readCachedData();
-        if (cachedData && cachedData.length > 0) {
-          setData(cachedData);
-          setCached(true);
-          setError(null); // clear any previous error because we have cached data
-          setLastCachedTime(new Date().toLocaleTimeString());
-        } else {
+        if (!(await showStoredHistory(view))) {
           setData([]);
           setCached(false);
-          setError("Offline — no cached data available");
+          setError("Offline — no stored data available");
         }
 
         // stop polling while offline
-        if (pollingRef.current) {
-          clearInterval(pollingRef.current);
-          pollingRef.current = null;
+        stopPolling();
+        return;
+      }
+
+      // Signed out: stored history only, until someone signs in
+      if (!apiTokenRef.current) {
+        if (!(await showStoredHistory(view))) {
+          setData([]);
+          setCached(false);
         }
+        setError(null); // the sign-in form says why there is no live data
+        stopPolling();
         return;
       }
 
-      // Ensure polling is running when online
-      if (!pollingRef.current) {
-        pollingRef.current = setInterval(fetchData, 5000);
+      // Poll while online unless new readings are being pushed to us
+      if (!streamingRef.current) {
+        startPolling();
       }
 
-      // Online: attempt login and fetch
       try {
-        // Login if needed
-        if (!jwtRef.current) {
-          const loginRes = await fetch(`${process.env.REACT_APP_BACKEND_URL}${LOGIN_PATH}`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ username: "demo", password: "demo" }),
-          });
-
-          if (!loginRes.ok) {
-            // If login fails, try cached data before reporting error
-            const { data: cachedData } = await readCachedData();
-            if (cachedData && cachedData.length > 0) {
-              setData(cachedData);
-              setCached(true);
-              setError(null);
-              setLastCachedTime(new Date().toLocaleTimeString());
-              return;
-            }
-            setError("Login failed");
-            return;
-          }
+        if (!registryFetchedRef.current) await fetchRegistry();
 
-          const loginJson = await loginRes.json();
-          jwtRef.current = loginJson.token;
-        }
+        // The stream needs the token, so it opens once signed in
+        if (!streamRef.current) openStream();
 
-        // Fetch sensor data
-        const res = await fetch(`${process.env.REACT_APP_BACKEND_URL}${API_PATH}`, {
-          headers: { Authorization: `Bearer ${jwtRef.current}` },
-          cache: "no-store",
-        });
+        fetchStatus();
 
-        if (!res.ok) {
-          // Try cached data before reporting error
-          const { data: cachedData } = await readCachedData();
-          if (cachedData && cachedData.length > 0) {
-            setData(cachedData);
-            setCached(true);
-            setError(null);
-            setLastCachedTime(new Date().toLocaleTimeString());
-            return;
-          }
+        // Keep the history store current: only readings from the newest
+        // stored one on (`from` is inclusive; storing that one again is
+        // harmless), or from the start of the view when nothing is stored
+        const since = await latestTimestamp().catch(() => null);
+        const fresh = await fetchReadings({ from: since || view.from });
+        if (!fresh) {
+          // Show stored history before reporting error
+          if (await showStoredHistory(view)) return;
           setError("Failed to fetch sensor data");
           return;
         }
-
-        const json = await res.json();
-        const normalized = normalizeReadings(json);
-        setData(normalized);
+        const storeUsable = await storeReadings(fresh);
+        if (storeUsable) setLastCachedTime(new Date().toLocaleTimeString());
+
+        // Fixed windows are fetched once, aggregates once a minute
+        const settled =
+          loaded.range === range &&
+          (!view.live || (view.bucket && Date.now() - loaded.at < AGGREGATE_REFRESH_MS));
+        if (!current()) return;
+
+        if (view.live && !view.bucket) {
+          if (storeUsable) {
+            const readings = await readRange(view.from, null);
+            if (!current()) return;
+            setData(readings);
+          } else {
+            // No IndexedDB (or no room): chart what was fetched
+            const shown = loaded.range === range;
+            setData((prev) =>
+              fresh.reduce(
+                (acc, reading) => appendReading(acc, reading, view.from),
+                shown ? prev : []
+              )
+            );
+            loaded = { range, at: Date.now() };
+          }
+        } else if (!settled) {
+          const readings = view.bucket
+            ? await fetchBuckets(view)
+            : await fetchReadings({ from: view.from, to: view.to });
+          if (!current()) return;
+          if (!readings) {
+            if (await showStoredHistory(view)) return;
+            setError("Failed to fetch sensor data");
+            return;
+          }
+          // Raw readings of a past window are kept for offline use too
+          if (!view.bucket) storeReadings(readings);
+          loaded = { range, at: Date.now() };
+          setData(readings);
+        }
         setCached(false);
         setError(null);
         setLastLiveTime(new Date().toLocaleTimeString());
-
-        // Save to localStorage for fallback
-        try {
-          localStorage.setItem("cachedSensorData", JSON.stringify(normalized));
-        } catch (err) {
-          // ignore storage errors
-        }
-
-        // Also write the live response into the cache under the stable URL string
-        try {
-          const apiUrl = `${process.env.REACT_APP_BACKEND_URL}${API_PATH}`;
-          const cache = await caches.open(CACHE_NAME);
-          const response = new Response(JSON.stringify(normalized), {
-            headers: { "Content-Type": "application/json" },
-          });
-          await cache.put(apiUrl, response);
-          setLastCachedTime(new Date().toLocaleTimeString());
-          // eslint-disable-next-line no-console
-          console.log("App: cached live API response");
-        } catch (err) {
-          // eslint-disable-next-line no-console
-          console.warn("App: cache put failed (ignored)", err);
-        }
       } catch (err) {
-        // Network or unexpected error while online: try cache first
+        // Network or unexpected error while online: show stored history first
         // eslint-disable-next-line no-console
         console.error("Fetch error:", err);
 
-        const { data: cachedData } = await readCachedData();
-        if (cachedData && cachedData.length > 0) {
-          setData(cachedData);
-          setCached(true);
-          setError(null); // do not show fatal error when cached data exists
-          setLastCachedTime(new Date().toLocaleTimeString());
-          return;
-        }
+        if (await showStoredHistory(view)) return;
 
         setData([]);
         setCached(false);
@@ -197,37 +465,179 @@ function App() {
       }
     };
 
-    // initial fetch and start polling
+    // Append pushed readings; fall back to polling whenever the stream is down
+    const openStream = () => {
+      if (typeof EventSource === "undefined") return;
+
+      // EventSource can not send headers, so the token goes in the query
+      const source = new EventSource(
+        `${STREAM_URL}?${FIELDS_QUERY}&access_token=${encodeURIComponent(apiTokenRef.current)}`
+      );
+      streamRef.current = source;
+      let reconnecting = false;
+
+      source.onopen = () => {
+        streamingRef.current = true;
+        stopPolling();
+        if (reconnecting) fetchData(); // catch up on anything missed
+        reconnecting = false;
+      };
+
+      source.onerror = () => {
+        streamingRef.current = false;
+        reconnecting = true;
+        if (navigator.onLine) startPolling();
+        // Refused (e.g. the token expired): the browser gives up, so the
+        // next poll reopens it, or finds the token refused and signs out
+        if (source.readyState === EventSource.CLOSED) {
+          streamRef.current = null;
+        }
+      };
+
+      source.addEventListener("reading", (event) => {
+        const [reading] = normalizeReadings([JSON.parse(event.data)], metricsRef.current);
+        if (!reading) return;
+        // Also keep it offline; the next sync then starts after it
+        saveReadings([reading]).catch(() => {});
+        const view = viewWindow(rangeRef.current);
+        if (view.live && !view.bucket) {
+          setData((prev) => appendReading(prev, reading, view.from));
+        } else if (view.live && Date.now() - loaded.at >= AGGREGATE_REFRESH_MS) {
+          fetchData(); // the buckets are due a refresh
+        }
+        setCached(false);
+        setError(null);
+        setLastLiveTime(new Date().toLocaleTimeString());
+      });
+
+      // A node went online, stale or offline
+      source.addEventListener("device", (event) => {
+        const change = JSON.parse(event.data);
+        const update = { status: change.status, lastSeenAt: change.lastSeenAt };
+        setDevices((prev) =>
+          prev.some((d) => d.deviceId === change.deviceId)
+            ? prev.map((d) => (d.deviceId === change.deviceId ? { ...d, ...update } : d))
+            : [...prev, { deviceId: change.deviceId, ...update }]
+        );
+      });
+    };
+
+    reloadRef.current = fetchData;
+
+    // Chart stored history while the backend (possibly cold) answers
+    readStoredHistory(metricsRef.current, viewWindow(rangeRef.current)).then((history) => {
+      if (history.length > 0) setData((prev) => (prev.length > 0 ? prev : history));
+    });
+    refreshSummary();
+
+    // initial fetch (starts polling); push takes over once logged in
     fetchData();
-    if (!pollingRef.current) {
-      pollingRef.current = setInterval(fetchData, 5000);
-    }
 
     return () => {
       stoppedRef.current = true;
-      if (pollingRef.current) {
-        clearInterval(pollingRef.current);
-        pollingRef.current = null;
+      streamingRef.current = false;
+      reloadRef.current = null;
+      if (streamRef.current) {
+        streamRef.current.close();
+        streamRef.current = null;
       }
+      stopPolling();
+    };
+  }, []);
+
+  // A notification clicked while the dashboard is open focuses it on the
+  // alert's sensor (see service-worker.js)
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return undefined;
+    const onMessage = (event) => {
+      if (!event.data || event.data.type !== "FOCUS_SENSOR") return;
+      window.history.replaceState(null, "", event.data.url);
+      setFocus(readFocus(new URL(event.data.url, window.location.origin).search));
     };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
   }, []);
 
-  const sortedData = [...data].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const clearFocus = () => {
+    window.history.replaceState(null, "", window.location.pathname);
+    setFocus(null);
+  };
+
+  const handleSignIn = (token) => {
+    sessionStorage.setItem(TOKEN_KEY, token);
+    apiTokenRef.current = token;
+    setSignedIn(true);
+    if (reloadRef.current) reloadRef.current();
+  };
+
+  const handleSignOut = () => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    apiTokenRef.current = null;
+    if (streamRef.current) {
+      streamRef.current.close();
+      streamRef.current = null;
+    }
+    streamingRef.current = false;
+    setSignedIn(false);
+    setDevices([]);
+    // Polling takes over from the stream
+    if (reloadRef.current) reloadRef.current();
+  };
+
+  // Express API calls made outside the effect, with the dashboard's token;
+  // resolves with the parsed body (null for 204) or throws the API's error
+  const apiRequest = async (path, body) => {
+    if (!apiTokenRef.current) throw new Error("not signed in");
+    const res = await apiFetch(apiTokenRef, path, {
+      method: body ? "POST" : "GET",
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body && JSON.stringify(body),
+    });
+    if (!apiTokenRef.current) setSignedIn(false);
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new Error(json.error || `HTTP ${res.status}`);
+    }
+    return res.status === 204 ? null : res.json();
+  };
+
+  // A newly chosen range is fetched right away
+  useEffect(() => {
+    if (rangeRef.current === range) return;
+    rangeRef.current = range;
+    if (reloadRef.current) reloadRef.current();
+  }, [range]);
+
+  const view = viewWindow(range);
+  const aggregated = data.some((r) => r.bands);
+  const sortedData = [...data]
+    // Readings without a device id (e.g. aggregates) are fleet-wide and stay
+    .filter((r) => !focus || !r.deviceId || r.deviceId === focus.deviceId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const focusMetric = focus && metrics.find((m) => m.name === focus.metric);
 
   return (
     <div style={{ padding: "20px" }}>
       <h2>Sensor Dashboard</h2>
 
+      {signedIn ? (
+        <button type="button" onClick={handleSignOut} style={{ marginBottom: "10px" }}>
+          Sign out
+        </button>
+      ) : (
+        <SignIn onSignIn={handleSignIn} />
+      )}
+
       {!navigator.onLine && (
         <div style={{ background: "#ffcccb", padding: "10px", marginBottom: "10px" }}>
           You are offline — some features may be unavailable
         </div>
       )}
 
-      {/* Live vs cached status */}
+      {/* Live vs stored status */}
       {cached ? (
         <div style={{ background: "#fff3cd", padding: "8px", marginBottom: "10px", color: "#856404" }}>
-          Showing cached data {lastCachedTime ? ` (last cached ${lastCachedTime})` : ""}
+          Showing stored history {lastCachedTime ? ` (last synced ${lastCachedTime})` : ""}
         </div>
       ) : lastLiveTime ? (
         <div style={{ background: "#d4edda", padding: "8px", marginBottom: "10px", color: "#155724" }}>
@@ -235,14 +645,43 @@ function App() {
         </div>
       ) : null}
 
+      {focus && (
+        <div style={{ background: "#f8d7da", padding: "8px", marginBottom: "10px", color: "#721c24" }}>
+          Alert on {focus.deviceId}
+          {focusMetric ? ` (${focusMetric.label})` : ""}{" "}
+          <button type="button" onClick={clearFocus}>
+            Show all
+          </button>
+        </div>
+      )}
+
+      <DeviceBadges devices={devices} focused={focus && focus.deviceId} />
+
+      {signedIn && <PushSettings metrics={metrics} request={apiRequest} />}
+
       {/* Only show error when there truly is no usable data */}
       {error && !cached && <p style={{ color: "red" }}>{error}</p>}
 
+      <RangePicker range={range} onChange={setRange} />
+
       {sortedData.length > 0 ? (
-        <SensorChart readings={sortedData} />
+        <SensorChart
+          readings={sortedData}
+          metrics={metrics}
+          only={focusMetric ? focusMetric.name : null}
+          bucketSeconds={aggregated && view.bucket ? BUCKET_SECONDS[view.bucket] : null}
+          bounds={view.live ? null : { from: range.from, to: range.to }}
+        />
       ) : (
         <p>No sensor data available</p>
       )}
+
+      {stored && stored.count > 0 && (
+        <p style={{ color: "#666", fontSize: "0.9em" }}>
+          Available offline: {stored.count} readings since{" "}
+          {new Date(stored.oldest).toLocaleString("fi-FI")}
+        </p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,44 @@
+const STATUS_COLORS = {
+  online: { background: "#d4edda", color: "#155724" },
+  stale: { background: "#fff3cd", color: "#856404" },
+  offline: { background: "#f8d7da", color: "#721c24" }
+};
+
+// Firmware health reported in the device's latest token, when present
+function healthText(metadata = {}) {
+  const parts = [];
+  if (metadata.battery != null) parts.push(`🔋 ${metadata.battery}%`);
+  if (metadata.rssi != null) parts.push(`📶 ${metadata.rssi} dBm`);
+  return parts.join(" ");
+}
+
+// One badge per sensor node, coloured by its online/stale/offline state.
+// The `focused` device (one an alert was opened on) is outlined.
+export default function DeviceBadges({ devices, focused }) {
+  if (devices.length === 0) return null;
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: "8px", marginBottom: "10px" }}>
+      {devices.map(device => (
+        <span
+          key={device.deviceId}
+          title={
+            device.lastSeenAt
+              ? `Last seen ${new Date(device.lastSeenAt).toLocaleString("fi-FI")}`
+              : "Never seen"
+          }
+          style={{
+            ...(STATUS_COLORS[device.status] || STATUS_COLORS.offline),
+            padding: "4px 10px",
+            borderRadius: "12px",
+            fontSize: "0.9em",
+            ...(device.deviceId === focused && { outline: "2px solid #721c24" })
+          }}
+        >
+          {device.label || device.deviceId}: {device.status}
+          {healthText(device.metadata) && ` · ${healthText(device.metadata)}`}
+        </span>
+      ))}
+    </div>
+  );
+}
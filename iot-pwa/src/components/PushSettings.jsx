@@ -0,0 +1,120 @@
+import { useState } from "react";
+
+// Metrics this browser last opted into, to show the current choice
+const PREFS_KEY = "pushMetrics";
+
+function readPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFS_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (err) {
+    // ignore parse errors
+  }
+  return [];
+}
+
+function pushSupported() {
+  return (
+    "serviceWorker" in navigator &&
+    "PushManager" in window &&
+    "Notification" in window
+  );
+}
+
+// The VAPID key comes base64url encoded; subscribe() wants the bytes
+function keyBytes(base64url) {
+  const base64 = (base64url + "=".repeat((4 - (base64url.length % 4)) % 4))
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+// Opt in to alert notifications per metric. `request(path, body)` calls
+// the Express API with the dashboard's token (POST when there is a body).
+export default function PushSettings({ metrics, request }) {
+  const [open, setOpen] = useState(false);
+  const [selected, setSelected] = useState(readPrefs);
+  const [status, setStatus] = useState(null);
+
+  if (!pushSupported()) return null;
+
+  const toggle = name =>
+    setSelected(prev =>
+      prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]
+    );
+
+  const save = async () => {
+    setStatus("Saving…");
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      let subscription = await registration.pushManager.getSubscription();
+
+      if (selected.length === 0) {
+        if (subscription) {
+          await request("/api/push/unsubscribe", {
+            endpoint: subscription.endpoint
+          });
+          await subscription.unsubscribe();
+        }
+      } else {
+        if ((await Notification.requestPermission()) !== "granted") {
+          setStatus("Notifications are blocked for this site");
+          return;
+        }
+        if (!subscription) {
+          const { publicKey } = await request("/api/push/vapid-public-key");
+          subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: keyBytes(publicKey)
+          });
+        }
+        await request("/api/push/subscribe", {
+          subscription: subscription.toJSON(),
+          metrics: selected
+        });
+      }
+
+      localStorage.setItem(PREFS_KEY, JSON.stringify(selected));
+      setStatus("Saved");
+    } catch (err) {
+      setStatus(`Could not save: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      <button type="button" onClick={() => setOpen(prev => !prev)}>
+        🔔 Alert notifications
+      </button>
+      {open && (
+        <div
+          style={{
+            border: "1px solid #ddd",
+            padding: "10px",
+            marginTop: "6px"
+          }}
+        >
+          <p style={{ marginTop: 0 }}>
+            Notify this device when an alert opens on:
+          </p>
+          {metrics.map(({ name, label, unit }) => (
+            <label key={name} style={{ marginRight: "16px" }}>
+              <input
+                type="checkbox"
+                checked={selected.includes(name)}
+                onChange={() => toggle(name)}
+              />{" "}
+              {label} ({unit})
+            </label>
+          ))}
+          <div style={{ marginTop: "10px" }}>
+            <button type="button" onClick={save}>
+              Save
+            </button>
+            {status && <span style={{ marginLeft: "8px" }}>{status}</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
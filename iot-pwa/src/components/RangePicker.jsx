@@ -0,0 +1,93 @@
+import { useState } from "react";
+
+// Windows ending now, newest data included as it arrives
+export const RANGES = {
+  "1h": { label: "1h", seconds: 3600 },
+  "24h": { label: "24h", seconds: 24 * 3600 },
+  "7d": { label: "7d", seconds: 7 * 24 * 3600 }
+};
+
+// <input type="datetime-local"> wants local time without seconds
+function localInputValue(ms) {
+  const date = new Date(ms);
+  return new Date(ms - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+}
+
+const buttonStyle = active => ({
+  marginRight: "6px",
+  fontWeight: active ? "bold" : "normal"
+});
+
+// `range` is { preset } for a window ending now, or
+// { preset: "custom", from, to } in epoch ms
+export default function RangePicker({ range, onChange }) {
+  const [custom, setCustom] = useState(range.preset === "custom");
+  const [from, setFrom] = useState(() =>
+    localInputValue(range.from ?? Date.now() - 24 * 3600 * 1000)
+  );
+  const [to, setTo] = useState(() => localInputValue(range.to ?? Date.now()));
+  const [invalid, setInvalid] = useState(false);
+
+  const apply = event => {
+    event.preventDefault();
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (Number.isNaN(start) || Number.isNaN(end) || start >= end) {
+      setInvalid(true);
+      return;
+    }
+    setInvalid(false);
+    onChange({ preset: "custom", from: start, to: end });
+  };
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      {Object.entries(RANGES).map(([key, { label }]) => (
+        <button
+          key={key}
+          type="button"
+          style={buttonStyle(!custom && range.preset === key)}
+          onClick={() => {
+            setCustom(false);
+            onChange({ preset: key });
+          }}
+        >
+          {label}
+        </button>
+      ))}
+      <button
+        type="button"
+        style={buttonStyle(custom)}
+        onClick={() => setCustom(true)}
+      >
+        Custom
+      </button>
+      {custom && (
+        <form
+          onSubmit={apply}
+          style={{ display: "inline", marginLeft: "10px" }}
+        >
+          <input
+            type="datetime-local"
+            value={from}
+            onChange={e => setFrom(e.target.value)}
+          />{" "}
+          –{" "}
+          <input
+            type="datetime-local"
+            value={to}
+            onChange={e => setTo(e.target.value)}
+          />{" "}
+          <button type="submit">Show</button>
+          {invalid && (
+            <span style={{ color: "red", marginLeft: "8px" }}>
+              Start must be before end
+            </span>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,45 +1,321 @@
+import { useEffect, useMemo, useRef, useState } from "react";
 import { Line } from "react-chartjs-2";
 import {
   Chart as ChartJS,
   LineElement,
-  CategoryScale,
   LinearScale,
+  TimeScale,
   PointElement,
+  Filler,
   Tooltip,
   Legend
 } from "chart.js";
+import zoomPlugin from "chartjs-plugin-zoom";
+import "chartjs-adapter-date-fns";
+import { fi } from "date-fns/locale";
 
 ChartJS.register(
   LineElement,
-  CategoryScale,
   LinearScale,
+  TimeScale,
   PointElement,
+  Filler,
   Tooltip,
-  Legend
+  Legend,
+  zoomPlugin
 );
 
-export default function SensorChart({ readings }) {
-  const data = {
-    labels: readings.map(r =>
-      new Date(r.timestamp).toLocaleTimeString("fi-FI", { hour12: false })
-    ),
-    datasets: [
-      {
-        label: "Temperature (°C)",
-        data: readings.map(r => r.temperature),
-        borderColor: "rgb(255, 99, 132)",
-        backgroundColor: "rgba(255, 99, 132, 0.3)",
-        tension: 0.3
+// Metrics the backend derives from temperature and humidity (?fields=).
+// Like measured metrics, they share an axis with others of the same unit.
+export const DERIVED_METRICS = {
+  dewPoint: { label: "Dew point", unit: "°C", color: "75, 192, 192" },
+  heatIndex: { label: "Heat index", unit: "°C", color: "255, 159, 64" },
+  absoluteHumidity: {
+    label: "Absolute humidity",
+    unit: "g/m³",
+    color: "153, 102, 255"
+  },
+  vpd: { label: "VPD", unit: "kPa", color: "100, 100, 100" }
+};
+
+// Colours for registry metrics, in registry order
+const PALETTE = [
+  "255, 99, 132",
+  "54, 162, 235",
+  "46, 139, 87",
+  "201, 80, 180",
+  "120, 90, 40"
+];
+
+const ANOMALY_LABELS = {
+  zscore: "outlier",
+  rate: "implausible jump",
+  flatline: "stuck value"
+};
+
+// A line is broken where readings are this many typical intervals apart
+const GAP_INTERVALS = 5;
+
+// Readings the backend flagged as likely sensor faults are drawn as larger
+// red triangles on the line of the metric concerned
+function anomalyPoints(metric, color) {
+  const flagged = ctx =>
+    ((ctx.raw && ctx.raw.anomalies) || []).some(a => a.metric === metric);
+  return {
+    pointStyle: ctx => (flagged(ctx) ? "triangle" : "circle"),
+    pointRadius: ctx => (flagged(ctx) ? 7 : 3),
+    pointBackgroundColor: ctx => (flagged(ctx) ? "rgb(220, 0, 0)" : color)
+  };
+}
+
+// Longest stretch without readings that a line still joins up: a few
+// buckets for aggregates, otherwise a few times the median interval
+function gapThreshold(readings, bucketSeconds) {
+  if (bucketSeconds) return bucketSeconds * 1000 * 1.5;
+  const intervals = readings
+    .slice(1)
+    .map((r, i) => Date.parse(r.timestamp) - Date.parse(readings[i].timestamp))
+    .filter(ms => ms > 0)
+    .sort((a, b) => a - b);
+  if (intervals.length === 0) return true;
+  return intervals[Math.floor(intervals.length / 2)] * GAP_INTERVALS;
+}
+
+// One y axis per unit: the first on the left, the rest on the right. The
+// registry's display ranges suggest the extent; data may stretch it.
+function unitAxes(metrics, units) {
+  const scales = {};
+  units.forEach((unit, index) => {
+    const ranges = metrics
+      .filter(m => m.unit === unit && m.display)
+      .map(m => m.display);
+    scales[`y-${unit}`] = {
+      position: index === 0 ? "left" : "right",
+      title: { display: true, text: unit },
+      grid: { drawOnChartArea: index === 0 },
+      ...(ranges.length > 0 && {
+        suggestedMin: Math.min(...ranges.map(r => r.min)),
+        suggestedMax: Math.max(...ranges.map(r => r.max))
+      })
+    };
+  });
+  return scales;
+}
+
+// Chart.js keeps zoom and pan in the options object it was given, so
+// these are only rebuilt when the axes or the fixed window change
+function chartOptions(scales, bounds, onZoom) {
+  return {
+    plugins: {
+      legend: {
+        labels: {
+          filter: (item, data) => !data.datasets[item.datasetIndex].band
+        }
       },
-      {
-        label: "Humidity (%)",
-        data: readings.map(r => r.humidity),
-        borderColor: "rgb(54, 162, 235)",
-        backgroundColor: "rgba(54, 162, 235, 0.3)",
-        tension: 0.3
+      tooltip: {
+        filter: item => !item.dataset.band,
+        callbacks: {
+          label: ({ dataset, raw }) => {
+            const format = n => n.toFixed(dataset.precision);
+            const value = `${dataset.label}: ${format(raw.y)}`;
+            return raw.min != null && raw.max != null
+              ? `${value} (${format(raw.min)}–${format(raw.max)})`
+              : value;
+          },
+          footer: items =>
+            items.length === 0
+              ? []
+              : (items[0].raw.anomalies || []).map(
+                  a => `⚠ ${a.metric}: ${ANOMALY_LABELS[a.type] || a.type}`
+                )
+        }
+      },
+      // Wheel or pinch zooms the time axis, dragging pans it
+      zoom: {
+        zoom: {
+          wheel: { enabled: true },
+          pinch: { enabled: true },
+          mode: "x",
+          onZoomComplete: () => onZoom(true)
+        },
+        pan: { enabled: true, mode: "x", onPanComplete: () => onZoom(true) },
+        limits: { x: { minRange: 60 * 1000 } }
       }
+    },
+    scales: {
+      x: {
+        type: "time",
+        adapters: { date: { locale: fi } },
+        time: {
+          tooltipFormat: "d.M.yyyy HH:mm:ss",
+          displayFormats: {
+            second: "HH:mm:ss",
+            minute: "HH:mm",
+            hour: "HH:mm",
+            day: "d.M.",
+            week: "d.M.",
+            month: "M/yyyy"
+          }
+        },
+        ...(bounds && { min: bounds.from, max: bounds.to })
+      },
+      ...scales
+    }
+  };
+}
+
+// `metrics` is the backend's metric registry; a line is drawn for each
+// metric some reading carries. Readings of aggregated data carry `bands`
+// (per-metric min and max), drawn as a shaded area around the mean.
+// `bounds` pins the time axis to a fixed { from, to } window (epoch ms);
+// `only` limits the lines to one metric, e.g. the one an alert is about.
+export default function SensorChart({
+  readings,
+  metrics,
+  only,
+  bucketSeconds,
+  bounds
+}) {
+  const [shown, setShown] = useState([]);
+  const [zoomed, setZoomed] = useState(false);
+  const chartRef = useRef(null);
+
+  // Colours follow registry order, so a metric keeps its colour whatever
+  // else the chart shows
+  const measured = metrics
+    .map((metric, index) => ({
+      ...metric,
+      color: PALETTE[index % PALETTE.length]
+    }))
+    .filter(({ name }) => !only || name === only)
+    .filter(({ name }) => readings.some(r => r.values[name] != null));
+
+  // Cached or older data may not carry every derived metric
+  const available = Object.keys(DERIVED_METRICS).filter(key =>
+    readings.some(r => r[key] != null)
+  );
+  const visible = shown.filter(key => available.includes(key));
+
+  const toggle = key =>
+    setShown(prev =>
+      prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    );
+
+  const spanGaps = gapThreshold(readings, bucketSeconds);
+  const points = value =>
+    readings.map(r => ({ x: Date.parse(r.timestamp), y: value(r) ?? null }));
+
+  // Two lines per metric, the max one filled down to the min one
+  const bands = measured
+    .filter(({ name }) => readings.some(r => r.bands && r.bands[name]))
+    .flatMap(({ name, unit, color }) =>
+      ["min", "max"].map(bound => ({
+        label: `${name} ${bound}`,
+        band: true,
+        data: points(r => r.bands && r.bands[name] && r.bands[name][bound]),
+        borderWidth: 0,
+        pointRadius: 0,
+        backgroundColor: `rgba(${color}, 0.15)`,
+        fill: bound === "max" ? "-1" : false,
+        tension: 0.3,
+        spanGaps,
+        yAxisID: `y-${unit}`
+      }))
+    );
+
+  const data = {
+    datasets: [
+      ...measured.map(({ name, label, unit, precision, color }) => ({
+        label: `${label} (${unit})`,
+        data: readings.map(r => ({
+          x: Date.parse(r.timestamp),
+          y: r.values[name] ?? null,
+          anomalies: r.anomalies,
+          ...(r.bands && r.bands[name])
+        })),
+        borderColor: `rgb(${color})`,
+        backgroundColor: `rgba(${color}, 0.3)`,
+        tension: 0.3,
+        spanGaps,
+        yAxisID: `y-${unit}`,
+        precision,
+        ...anomalyPoints(name, `rgba(${color}, 0.3)`)
+      })),
+      ...visible.map(key => {
+        const { label, unit, color } = DERIVED_METRICS[key];
+        return {
+          label: `${label} (${unit})`,
+          data: points(r => r[key]),
+          borderColor: `rgb(${color})`,
+          backgroundColor: `rgba(${color}, 0.3)`,
+          borderDash: [6, 4],
+          tension: 0.3,
+          spanGaps,
+          yAxisID: `y-${unit}`,
+          precision: 2
+        };
+      }),
+      ...bands
     ]
   };
 
-  return <Line data={data} />;
-}
\ No newline at end of file
+  const units = [
+    ...new Set([
+      ...measured.map(m => m.unit),
+      ...visible.map(key => DERIVED_METRICS[key].unit)
+    ])
+  ];
+
+  const axesKey = JSON.stringify(unitAxes(measured, units));
+  const boundsFrom = bounds ? bounds.from : null;
+  const boundsTo = bounds ? bounds.to : null;
+  const options = useMemo(
+    () =>
+      chartOptions(
+        JSON.parse(axesKey),
+        boundsFrom === null ? null : { from: boundsFrom, to: boundsTo },
+        setZoomed
+      ),
+    [axesKey, boundsFrom, boundsTo]
+  );
+
+  // A new window or bucket size starts unzoomed
+  useEffect(() => {
+    if (chartRef.current) chartRef.current.resetZoom();
+    setZoomed(false);
+  }, [boundsFrom, boundsTo, bucketSeconds]);
+
+  const resetZoom = () => {
+    if (chartRef.current) chartRef.current.resetZoom();
+    setZoomed(false);
+  };
+
+  return (
+    <div>
+      {available.length > 0 && (
+        <div style={{ marginBottom: "10px" }}>
+          {available.map(key => (
+            <label key={key} style={{ marginRight: "16px" }}>
+              <input
+                type="checkbox"
+                checked={visible.includes(key)}
+                onChange={() => toggle(key)}
+              />{" "}
+              {DERIVED_METRICS[key].label} ({DERIVED_METRICS[key].unit})
+            </label>
+          ))}
+        </div>
+      )}
+      {zoomed && (
+        <button
+          type="button"
+          onClick={resetZoom}
+          style={{ marginBottom: "10px" }}
+        >
+          Reset zoom
+        </button>
+      )}
+      <Line ref={chartRef} data={data} options={options} />
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useState } from "react";
+
+const API_URL = process.env.REACT_APP_API_URL;
+
+// Signs in to the Express API with a dashboard user's own credentials and
+// hands the token to `onSignIn(token)`
+export default function SignIn({ onSignIn }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+
+  const submit = async event => {
+    event.preventDefault();
+    setError(null);
+
+    try {
+      const res = await fetch(`${API_URL}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password })
+      });
+      if (!res.ok) {
+        setError(
+          res.status === 401 ? "Invalid username or password" : "Login failed"
+        );
+        return;
+      }
+      const { token } = await res.json();
+      setPassword("");
+      onSignIn(token);
+    } catch (err) {
+      setError("Backend unreachable");
+    }
+  };
+
+  return (
+    <form
+      onSubmit={submit}
+      style={{
+        border: "1px solid #ddd",
+        padding: "10px",
+        marginBottom: "10px",
+        maxWidth: "280px"
+      }}
+    >
+      <p style={{ marginTop: 0 }}>Sign in for live data</p>
+      <label style={{ display: "block", marginBottom: "8px" }}>
+        Username
+        <input
+          value={username}
+          onChange={e => setUsername(e.target.value)}
+          autoComplete="username"
+          style={{ display: "block", width: "100%" }}
+        />
+      </label>
+      <label style={{ display: "block", marginBottom: "8px" }}>
+        Password
+        <input
+          type="password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          autoComplete="current-password"
+          style={{ display: "block", width: "100%" }}
+        />
+      </label>
+      {error && <p style={{ color: "red" }}>{error}</p>}
+      <button type="submit">Sign in</button>
+    </form>
+  );
+}
@@ -0,0 +1,142 @@
+// Readings kept in IndexedDB, keyed by device and ISO timestamp, so the
+// dashboard can show days of history offline and only has to fetch what
+// is newer than the last stored reading.
+const DB_NAME = "sensor-history";
+const DB_VERSION = 2;
+const STORE = "readings";
+const BY_TIME = "timestamp";
+// Stands in for the device of readings that name none (e.g. from the data
+// API), as every part of a key must be present
+const NO_DEVICE = "";
+
+// Size budget: past this many readings the oldest are dropped. At one
+// reading a minute the default keeps about two weeks.
+export const HISTORY_MAX_READINGS =
+  Number(process.env.REACT_APP_HISTORY_MAX_READINGS) || 20000;
+
+let dbPromise = null;
+
+function createReadingsStore(db) {
+  const store = db.createObjectStore(STORE, {
+    keyPath: ["deviceId", "timestamp"],
+  });
+  store.createIndex(BY_TIME, "timestamp");
+  return store;
+}
+
+function withDevice(reading) {
+  return typeof reading.deviceId === "string"
+    ? reading
+    : { ...reading, deviceId: NO_DEVICE };
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (event) => {
+        const db = req.result;
+        if (event.oldVersion < 1) {
+          createReadingsStore(db);
+          return;
+        }
+        // Version 1 keyed readings by timestamp alone, so two devices
+        // reporting at the same second overwrote each other; the readings
+        // it kept move to the new store
+        const old = req.transaction.objectStore(STORE);
+        old.getAll().onsuccess = (getEvent) => {
+          db.deleteObjectStore(STORE);
+          const store = createReadingsStore(db);
+          getEvent.target.result.forEach((reading) =>
+            store.put(withDevice(reading))
+          );
+        };
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call try again, e.g. after the user frees up storage
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `work(store)` in one transaction and resolves with what it leaves
+// in `result` once the transaction has committed
+async function withStore(mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = {};
+    work(tx.objectStore(STORE), result);
+    tx.oncomplete = () => resolve(result.value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Adds or replaces readings (same device and timestamp = same reading),
+// then trims the store back to the budget, oldest first
+export function saveReadings(readings) {
+  if (readings.length === 0) return Promise.resolve();
+  return withStore("readwrite", (store) => {
+    readings.forEach((reading) => store.put(withDevice(reading)));
+
+    store.count().onsuccess = (event) => {
+      let excess = event.target.result - HISTORY_MAX_READINGS;
+      if (excess <= 0) return;
+      store.index(BY_TIME).openKeyCursor().onsuccess = (cursorEvent) => {
+        const cursor = cursorEvent.target.result;
+        if (!cursor || excess <= 0) return;
+        store.delete(cursor.primaryKey);
+        excess -= 1;
+        cursor.continue();
+      };
+    };
+  });
+}
+
+// Timestamp of the newest stored reading, or null when the store is empty
+export function latestTimestamp() {
+  return withStore("readonly", (store, result) => {
+    result.value = null;
+    store.index(BY_TIME).openKeyCursor(null, "prev").onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) result.value = cursor.key;
+    };
+  });
+}
+
+// Stored readings from `from` up to `to` (ISO strings, `to` may be null
+// for "until now"), oldest first
+export function readRange(from, to) {
+  return withStore("readonly", (store, result) => {
+    result.value = [];
+    const range = to
+      ? IDBKeyRange.bound(from, to)
+      : IDBKeyRange.lowerBound(from);
+    store.index(BY_TIME).getAll(range).onsuccess = (event) => {
+      result.value = event.target.result;
+    };
+  });
+}
+
+// How much history is stored: { count, oldest } (oldest is null if empty)
+export function historySummary() {
+  return withStore("readonly", (store, result) => {
+    result.value = { count: 0, oldest: null };
+    store.count().onsuccess = (event) => {
+      result.value.count = event.target.result;
+    };
+    store.index(BY_TIME).openKeyCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) result.value.oldest = cursor.key;
+    };
+  });
+}
@@ -8,8 +8,7 @@ import { registerRoute } from 'workbox-routing';
 import { StaleWhileRevalidate } from 'workbox-strategies';
 
 // --- VERSIONING ---
-const SW_VERSION = 'v9';
-const SENSOR_CACHE = `sensor-data-cache-${SW_VERSION}`;
+const SW_VERSION = 'v10';
 const STATIC_CACHE = `static-assets-${SW_VERSION}`;
 const IMAGE_CACHE = `images-${SW_VERSION}`;
 
@@ -25,46 +24,9 @@ precacheAndRoute([
   { url: '/offline.html', revision: SW_VERSION }
 ]);
 
-// --- SAFE PRE-CACHE FOR API ENDPOINT ---
-self.addEventListener('install', (event) => {
-  event.waitUntil(
-    (async () => {
-      try {
-        const cache = await caches.open(SENSOR_CACHE);
-        const apiUrl = 'https://django-iot-backend.onrender.com/api/data/';
-
-        const existing = await cache.match(apiUrl);
-        if (existing) return;
-
-        try {
-          const resp = await fetch(apiUrl, { cache: 'no-store' });
-          if (resp && resp.ok) {
-            await cache.put(apiUrl, resp.clone());
-            return;
-          }
-        } catch (_) {}
-
-        const now = Date.now();
-        const fallbackPayload = [
-          { timestamp: new Date(now - 11 * 60000).toISOString(), temperature: 21.5, humidity: 45.0 },
-          { timestamp: new Date(now - 10 * 60000).toISOString(), temperature: 21.7, humidity: 44.0 },
-          { timestamp: new Date(now - 9 * 60000).toISOString(), temperature: 21.6, humidity: 44.5 },
-          { timestamp: new Date(now - 8 * 60000).toISOString(), temperature: 21.8, humidity: 44.0 },
-          { timestamp: new Date(now - 7 * 60000).toISOString(), temperature: 22.0, humidity: 43.5 },
-          { timestamp: new Date(now - 6 * 60000).toISOString(), temperature: 22.3, humidity: 43.0 },
-          { timestamp: new Date(now - 5 * 60000).toISOString(), temperature: 22.1, humidity: 43.2 }
-        ];
-
-        await cache.put(
-          apiUrl,
-          new Response(JSON.stringify(fallbackPayload), {
-            headers: { 'Content-Type': 'application/json' },
-          })
-        );
-      } catch (_) {}
-    })()
-  );
-});
+// Sensor readings are not cached here: the app keeps them in IndexedDB
+// (src/historyStore.js) and syncs only what is new, so API requests go
+// straight to the network. Activating v10 deletes the old sensor cache.
 
 // --- CLEANUP OLD CACHES ON ACTIVATE ---
 self.addEventListener('activate', (event) => {
@@ -73,7 +35,7 @@ self.addEventListener('activate', (event) => {
       const keys = await caches.keys();
       await Promise.all(
         keys
-          .filter((k) => ![SENSOR_CACHE, STATIC_CACHE, IMAGE_CACHE].includes(k))
+          .filter((k) => ![STATIC_CACHE, IMAGE_CACHE].includes(k))
           .map((k) => caches.delete(k))
       );
       await self.clients.claim();
@@ -124,41 +86,48 @@ registerRoute(
   })
 );
 
-// --- API ROUTE: resilient handler for /api/data/ ---
-registerRoute(
-  ({ url }) =>
-    url.origin === 'https://django-iot-backend.onrender.com' &&
-    url.pathname.startsWith('/api/data/'),
-  async ({ request }) => {
-    const cache = await caches.open(SENSOR_CACHE);
-    const apiKey = request.url;
-
-    try {
-      const networkResponse = await fetch(request);
-      if (networkResponse && networkResponse.ok) {
-        try {
-          await cache.put(apiKey, networkResponse.clone());
-        } catch (_) {}
-        return networkResponse;
-      }
-    } catch (_) {}
-
-    const exact = await cache.match(apiKey);
-    if (exact) return exact;
-
-    const keys = await cache.keys();
-    const fuzzy = keys.find((req) => req.url.includes('/api/data/'));
-    if (fuzzy) {
-      const cached = await cache.match(fuzzy.url);
-      if (cached) return cached;
-    }
-
-    return new Response(
-      JSON.stringify([{ timestamp: new Date().toISOString(), temperature: 21.0, humidity: 44.0 }]),
-      { headers: { 'Content-Type': 'application/json' } }
-    );
+// --- ALERT PUSH NOTIFICATIONS ---
+// The backend pushes { title, body, tag, url, deviceId, metric } when an
+// alert opens on a metric this device opted into (see PushSettings.jsx)
+self.addEventListener('push', (event) => {
+  let alert = {};
+  try {
+    alert = event.data ? event.data.json() : {};
+  } catch (err) {
+    alert = { body: event.data.text() };
   }
-);
+  event.waitUntil(
+    self.registration.showNotification(alert.title || 'Sensor alert', {
+      body: alert.body,
+      tag: alert.tag,
+      renotify: Boolean(alert.tag),
+      icon: '/favicon.png',
+      badge: '/favicon.png',
+      data: { url: alert.url || '/', deviceId: alert.deviceId, metric: alert.metric },
+    })
+  );
+});
+
+// Focuses the dashboard on the alert's sensor: an open window is told which
+// one, otherwise a new window opens at the alert's URL
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { url = '/', deviceId, metric } = event.notification.data || {};
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      const dashboard = windows.find(
+        (client) => new URL(client.url).origin === self.location.origin
+      );
+      if (dashboard) {
+        await dashboard.focus();
+        dashboard.postMessage({ type: 'FOCUS_SENSOR', url, deviceId, metric });
+        return;
+      }
+      await self.clients.openWindow(url);
+    })()
+  );
+});
 
 // --- ALLOW SKIPWAITING VIA MESSAGE ---
 self.addEventListener('message', (event) => {